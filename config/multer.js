@@ -12,7 +12,9 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter
+// File filter: a quick first check on the file name and declared mimetype.
+// Both come from the client, so routes also run middleware/imageUpload.js's
+// sanitizeUploads to check the actual content.
 const fileFilter = (req, file, cb) => {
   // Allowed file types
   const allowedTypes = /jpeg|jpg|png|gif|webp/;
@@ -47,5 +49,22 @@ const uploadMemory = multer({
   fileFilter: fileFilter
 });
 
+// Product import files (CSV or JSON), kept in memory for parsing
+const importFileFilter = (req, file, cb) => {
+  if (/\.(csv|json)$/i.test(file.originalname)) {
+    return cb(null, true);
+  }
+  cb(new Error('Only CSV or JSON files are allowed!'));
+};
+
+const uploadImport = multer({
+  storage: memoryStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB
+  },
+  fileFilter: importFileFilter
+});
+
 module.exports = upload; // default (disk)
 module.exports.memory = uploadMemory; // named property for memory uploads
+module.exports.imports = uploadImport; // CSV / JSON product imports
@@ -31,6 +31,13 @@ const protect = async (req, res, next) => {
         });
       }
 
+      if (req.user.isTokenRevoked(decoded.iat)) {
+        return res.status(401).json({ 
+          success: false,
+          message: 'Token has been revoked, please log in again' 
+        });
+      }
+
       next();
     } catch (error) {
       console.error('Token verification error:', error.message);
@@ -50,6 +57,26 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Optional auth - attach req.user when a valid token is sent, but never reject
+// the request. Useful for public routes that show more to signed-in users.
+const optionalAuth = async (req, res, next) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    try {
+      const token = req.headers.authorization.split(' ')[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.id).select('-password');
+
+      if (user && user.isActive && !user.isTokenRevoked(decoded.iat)) {
+        req.user = user;
+      }
+    } catch (error) {
+      // Invalid or expired token: carry on as an anonymous visitor
+    }
+  }
+
+  next();
+};
+
 // Admin only access
 const admin = (req, res, next) => {
   if (req.user && req.user.role === 'admin') {
@@ -62,4 +89,24 @@ const admin = (req, res, next) => {
   }
 };
 
-module.exports = { protect, admin };
+// Actions that unverified users may not perform, e.g.
+// EMAIL_VERIFICATION_REQUIRED_FOR=products,checkout. Empty means browse and
+// buy freely without verifying.
+const verificationRequiredFor = () => (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || '')
+  .split(',')
+  .map(action => action.trim())
+  .filter(Boolean);
+
+// Require a verified email for the given action (use after protect)
+const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (!verificationRequiredFor().includes(action) || (req.user && req.user.emailVerified)) {
+    return next();
+  }
+
+  res.status(403).json({ 
+    success: false,
+    message: 'Please verify your email address to continue' 
+  });
+};
+
+module.exports = { protect, optionalAuth, admin, requireVerifiedEmail };
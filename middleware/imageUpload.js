@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+const { sanitizeImage } = require('../utils/images');
+
+// Files multer attached to the request (single, array or fields uploads)
+const uploadedFiles = (req) => {
+  if (req.file) return [req.file];
+  if (Array.isArray(req.files)) return req.files;
+  if (req.files) return Object.values(req.files).flat();
+  return [];
+};
+
+// Run after a multer middleware. The multer fileFilter only looks at the
+// name and the declared mimetype; this checks every uploaded file by content
+// (see sanitizeImage) and replaces it with the sanitised copy, so routes only
+// ever see real images without metadata. `mimetype` and `size` are updated to
+// the detected type and the new size, `width` and `height` are added, and the
+// file extension is corrected.
+// Works with memory (`buffer`) and disk (`path`) storage.
+// Any file failing the check rejects the whole request with 400.
+const sanitizeUploads = async (req, res, next) => {
+  const files = uploadedFiles(req);
+
+  try {
+    for (const file of files) {
+      const input = file.buffer || await fs.promises.readFile(file.path);
+
+      let image;
+      try {
+        image = await sanitizeImage(input);
+      } catch (error) {
+        error.message = `${file.originalname}: ${error.message}`;
+        error.statusCode = 400;
+        throw error;
+      }
+
+      const extension = `.${image.format === 'jpeg' ? 'jpg' : image.format}`;
+      const name = path.basename(file.originalname, path.extname(file.originalname));
+
+      if (file.buffer) {
+        file.buffer = image.buffer;
+      } else {
+        await fs.promises.writeFile(file.path, image.buffer);
+      }
+      file.originalname = `${name}${extension}`;
+      file.mimetype = image.contentType;
+      file.size = image.buffer.length;
+      file.width = image.width;
+      file.height = image.height;
+    }
+
+    next();
+  } catch (error) {
+    // Disk uploads: do not leave rejected files behind
+    await Promise.all(files.filter(file => file.path).map(file => fs.promises.unlink(file.path).catch(() => {})));
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+module.exports = { sanitizeUploads };
@@ -0,0 +1,102 @@
+const { getStore } = require('../utils/rateLimitStore');
+
+// Fixed-window rate limiting. Each policy allows `max` requests per window
+// and key (client IP, signed-in user or account email). Override a policy
+// with RATE_LIMIT_<NAME>=<max>/<window>, e.g. RATE_LIMIT_AUTH=20/15m
+// (window units: s, m, h, d). RATE_LIMIT_ENABLED=false turns limiting off.
+//
+// Responses carry RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset
+// (seconds) and RateLimit-Policy headers for the tightest policy applied;
+// rejected requests get 429 with Retry-After.
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const parsePolicy = (value, fallback) => {
+  const match = /^(\d+)\/(\d+)([smhd])$/.exec(String(value || '').trim());
+  if (!match) {
+    if (value) console.warn(`⚠️  Ignoring invalid rate limit policy "${value}"`);
+    return fallback;
+  }
+  return { max: Number(match[1]), windowMs: Number(match[2]) * UNITS[match[3]] };
+};
+
+const POLICIES = {
+  // Signup, login and password reset, per IP
+  auth: parsePolicy(process.env.RATE_LIMIT_AUTH, { max: 20, windowMs: 15 * UNITS.m }),
+  // Login and password reset requests, per account email
+  account: parsePolicy(process.env.RATE_LIMIT_ACCOUNT, { max: 10, windowMs: 15 * UNITS.m }),
+  // File uploads and imports, per user
+  upload: parsePolicy(process.env.RATE_LIMIT_UPLOAD, { max: 30, windowMs: UNITS.h }),
+  // Creating, changing and deleting products, per user
+  productWrite: parsePolicy(process.env.RATE_LIMIT_PRODUCT_WRITE, { max: 100, windowMs: 15 * UNITS.m })
+};
+
+const enabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+// Limit keys
+const byIp = (req) => `ip:${req.ip}`;
+const byUser = (req) => (req.user ? `user:${req.user._id}` : byIp(req));
+// Use after the route's validators so the email is already normalised
+const byAccount = (req) => {
+  const email = req.body && req.body.email;
+  return typeof email === 'string' && email.trim() ? `email:${email.trim().toLowerCase()}` : null;
+};
+
+// Middleware limiting requests with `policyName`, counted per `keyFor(req)`.
+// Requests without a key are not counted.
+const rateLimit = (policyName, keyFor) => async (req, res, next) => {
+  const policy = POLICIES[policyName];
+  const key = enabled() ? keyFor(req) : null;
+  if (!key) return next();
+
+  // An unknown store name is a configuration error (server.js refuses to
+  // start with one), so it is not failed open like store errors below
+  let store;
+  try {
+    store = getStore();
+  } catch (error) {
+    return next(error);
+  }
+
+  let window;
+  try {
+    window = await store.increment(`${policyName}:${key}`, policy.windowMs);
+  } catch (error) {
+    // Fail open: a store outage should not take the API down with it
+    console.error('Rate limit store error:', error.message);
+    return next();
+  }
+
+  const remaining = Math.max(policy.max - window.count, 0);
+  const resetSeconds = Math.max(Math.ceil((new Date(window.resetAt).getTime() - Date.now()) / 1000), 0);
+
+  // Several policies can apply to one request; report the tightest
+  if (!res.locals.rateLimit || remaining < res.locals.rateLimit.remaining) {
+    res.locals.rateLimit = { policy: policyName, remaining };
+    res.set({
+      'RateLimit-Limit': String(policy.max),
+      'RateLimit-Remaining': String(remaining),
+      'RateLimit-Reset': String(resetSeconds),
+      'RateLimit-Policy': `${policy.max};w=${Math.round(policy.windowMs / 1000)}`
+    });
+  }
+
+  if (window.count > policy.max) {
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({
+      success: false,
+      message: `Too many requests, please try again in ${resetSeconds} seconds`
+    });
+  }
+
+  next();
+};
+
+const limit = {
+  auth: rateLimit('auth', byIp),
+  account: rateLimit('account', byAccount),
+  upload: rateLimit('upload', byUser),
+  productWrite: rateLimit('productWrite', byUser)
+};
+
+module.exports = { POLICIES, rateLimit, limit };
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'product.update',
+  'product.delete',
+  'product.restore',
+  'product.purge',
+  'user.role_change',
+  'user.deactivate',
+  'user.reactivate',
+  'user.password_change',
+  'user.password_reset',
+  'user.force_password_reset'
+];
+
+// One field changed by an audited action
+const changeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Append-only record of a privileged or ownership-sensitive action (see
+// utils/audit.js). Entries are never updated or deleted through the model.
+const auditLogSchema = new mongoose.Schema({
+  // Who did it, as they were at the time
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    name: String,
+    email: String,
+    role: String
+  },
+  action: {
+    type: String,
+    enum: {
+      values: AUDIT_ACTIONS,
+      message: '{VALUE} is not an audit action'
+    },
+    required: true
+  },
+  target: {
+    type: {
+      type: String,
+      enum: ['Product', 'User'],
+      required: true
+    },
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    // Readable name (product name, user email) kept after the target is gone
+    label: String,
+    // Owner of the target (the product's seller, or the user themself)
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  // True when the actor changed something they do not own (an admin acting
+  // on another user's product or account)
+  privileged: {
+    type: Boolean,
+    default: false
+  },
+  changes: [changeSchema],
+  ip: String,
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Create indexes
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Append-only: refuse to change or remove saved entries
+const appendOnly = function() {
+  throw new Error('Audit log entries cannot be changed or deleted');
+};
+
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) appendOnly();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  { document: false, query: true },
+  appendOnly
+);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, appendOnly);
+auditLogSchema.pre('bulkWrite', appendOnly);
+
+auditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
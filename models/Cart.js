@@ -1,4 +1,16 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Coupon = require('./Coupon');
+const Product = require('./Product');
+
+// Flat shipping fee charged on non-empty carts (waived by free-shipping coupons)
+const SHIPPING_FEE = Number(process.env.SHIPPING_FEE) || 0;
+
+// Abandoned guest carts are deleted this long after their last change
+const GUEST_CART_TTL_DAYS = Number(process.env.GUEST_CART_TTL_DAYS) || 7;
+
+// Round a currency amount to 2 decimal places
+const roundPrice = (value) => Math.round(value * 100) / 100;
 
 const cartItemSchema = new mongoose.Schema({
   product: {
@@ -6,6 +18,11 @@ const cartItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Variant id for products that have variants, null otherwise
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   quantity: {
     type: Number,
     required: true,
@@ -13,25 +30,79 @@ const cartItemSchema = new mongoose.Schema({
     max: [100, 'Quantity cannot exceed 100'],
     default: 1
   },
+  // Unit price the customer pays (after the product discount), locked in when
+  // the item is added or when price changes are accepted
   price: {
     type: Number,
     required: true,
     min: [0, 'Price cannot be negative']
+  },
+  // Price before discount and the discount percentage behind `price`
+  originalPrice: {
+    type: Number,
+    min: [0, 'Price cannot be negative']
+  },
+  discount: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%'],
+    default: 0
   }
 }, { _id: false });
 
 const cartSchema = new mongoose.Schema({
+  // Set for signed-in users. Guest carts have no user and are found through
+  // the hash of their opaque cart token instead.
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
-    unique: true
+    default: undefined
+  },
+  guestTokenHash: {
+    type: String,
+    default: undefined
+  },
+  // Only set on guest carts; MongoDB deletes them once it passes
+  expiresAt: {
+    type: Date,
+    default: undefined
   },
   items: [cartItemSchema],
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    default: null
+  },
+  couponCode: {
+    type: String,
+    default: null
+  },
+  // Why a previously applied coupon was dropped (e.g. cart fell below minimum)
+  couponMessage: {
+    type: String,
+    default: null
+  },
   totalItems: {
     type: Number,
     default: 0
   },
+  subtotal: {
+    type: Number,
+    default: 0
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  shipping: {
+    type: Number,
+    default: 0
+  },
+  grandTotal: {
+    type: Number,
+    default: 0
+  },
+  // Kept for backward compatibility; always equal to grandTotal
   totalPrice: {
     type: Number,
     default: 0
@@ -40,34 +111,134 @@ const cartSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Calculate totals before saving
+// Create indexes. Uniqueness only applies to carts that have the field, so
+// any number of guest carts (no user) and user carts (no token) can coexist.
+cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'objectId' } }, name: 'user_unique' });
+cartSchema.index({ guestTokenHash: 1 }, { unique: true, partialFilterExpression: { guestTokenHash: { $type: 'string' } } });
+cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// A cart must belong to a user or carry a guest token
+cartSchema.pre('validate', function(next) {
+  if (!this.user && !this.guestTokenHash) {
+    return next(new Error('Cart must belong to a user or a guest'));
+  }
+  next();
+});
+
+// Push back the expiry of guest carts on every change
 cartSchema.pre('save', function(next) {
-  this.totalItems = this.items.reduce((sum, item) => sum + item.quantity, 0);
-  this.totalPrice = this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
+  if (!this.user) {
+    this.expiresAt = new Date(Date.now() + GUEST_CART_TTL_DAYS * 24 * 60 * 60 * 1000);
+  }
   next();
 });
 
-// Method to add item to cart
-cartSchema.methods.addItem = async function(productId, quantity, price) {
-  const existingItem = this.items.find(item => item.product.toString() === productId.toString());
+// Hash a guest cart token for storage/lookup
+cartSchema.statics.hashGuestToken = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Create an (unsaved) guest cart. Returns { cart, token }; the raw token is
+// handed to the client and never stored.
+cartSchema.statics.newGuestCart = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    cart: new this({ guestTokenHash: this.hashGuestToken(token), items: [] }),
+    token
+  };
+};
+
+// Shipping fee for a cart or order
+cartSchema.statics.shippingFee = function(itemCount, freeShipping) {
+  return itemCount > 0 && !freeShipping ? SHIPPING_FEE : 0;
+};
+
+// Calculate totals before saving. If a coupon is applied it is re-checked
+// against the current items and dropped (with a message) once it no longer
+// applies.
+cartSchema.pre('save', async function() {
+  this.totalItems = this.items.reduce((sum, item) => sum + item.quantity, 0);
+  this.subtotal = roundPrice(this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0));
+  this.discount = 0;
+
+  let freeShipping = false;
+
+  if (this.coupon) {
+    const coupon = await Coupon.findById(this.coupon);
+    let result = { valid: false, message: 'This coupon no longer exists' };
+
+    if (coupon) {
+      const productIds = this.items.map(item => item.product._id || item.product);
+      const products = await Product.find({ _id: { $in: productIds } })
+        .select('category')
+        .populate('category', 'ancestors')
+        .lean();
+      const categories = new Map(products.map(p => [
+        p._id.toString(),
+        p.category ? [...p.category.ancestors, p.category._id] : []
+      ]));
+
+      const lines = this.items.map(item => {
+        const productId = (item.product._id || item.product).toString();
+        return { product: productId, categories: categories.get(productId) || [], amount: item.price * item.quantity };
+      });
+
+      result = coupon.evaluate({ lines, userId: this.user });
+    }
+
+    if (result.valid) {
+      this.discount = Math.min(result.discount, this.subtotal);
+      freeShipping = result.freeShipping;
+      this.couponMessage = null;
+    } else {
+      this.coupon = null;
+      this.couponCode = null;
+      this.couponMessage = result.message;
+    }
+  }
+
+  this.shipping = this.constructor.shippingFee(this.items.length, freeShipping);
+  this.grandTotal = roundPrice(this.subtotal - this.discount + this.shipping);
+  this.totalPrice = this.grandTotal;
+});
+
+// Whether a cart item is the given product (and variant)
+const isSameItem = (item, productId, variantId) => {
+  const itemProduct = (item.product._id || item.product).toString();
+  const itemVariant = item.variant ? item.variant.toString() : null;
+  return itemProduct === productId.toString() && itemVariant === (variantId ? variantId.toString() : null);
+};
+
+// Method to find an item by product (and variant)
+cartSchema.methods.findItem = function(productId, variantId = null) {
+  return this.items.find(item => isSameItem(item, productId, variantId));
+};
+
+// Method to add item to cart. `pricing` is { price, originalPrice, discount }
+// or just the unit price.
+cartSchema.methods.addItem = async function(productId, quantity, pricing, variantId = null) {
+  const existingItem = this.findItem(productId, variantId);
+  const { price, originalPrice, discount } = typeof pricing === 'number'
+    ? { price: pricing, originalPrice: pricing, discount: 0 }
+    : pricing;
   
   if (existingItem) {
     existingItem.quantity += quantity;
     if (existingItem.quantity > 100) existingItem.quantity = 100;
   } else {
-    this.items.push({ product: productId, quantity, price });
+    this.items.push({ product: productId, variant: variantId, quantity, price, originalPrice, discount });
   }
   
   return await this.save();
 };
 
 // Method to update item quantity
-cartSchema.methods.updateItemQuantity = async function(productId, quantity) {
-  const item = this.items.find(item => item.product.toString() === productId.toString());
+cartSchema.methods.updateItemQuantity = async function(productId, quantity, variantId = null) {
+  const item = this.findItem(productId, variantId);
   
   if (item) {
     if (quantity <= 0) {
-      this.items = this.items.filter(item => item.product.toString() !== productId.toString());
+      this.items = this.items.filter(item => !isSameItem(item, productId, variantId));
     } else {
       item.quantity = Math.min(quantity, 100);
     }
@@ -78,14 +249,33 @@ cartSchema.methods.updateItemQuantity = async function(productId, quantity) {
 };
 
 // Method to remove item from cart
-cartSchema.methods.removeItem = async function(productId) {
-  this.items = this.items.filter(item => item.product.toString() !== productId.toString());
+cartSchema.methods.removeItem = async function(productId, variantId = null) {
+  this.items = this.items.filter(item => !isSameItem(item, productId, variantId));
   return await this.save();
 };
 
-// Method to clear cart
+// Method to clear cart (also drops any applied coupon)
 cartSchema.methods.clearCart = async function() {
   this.items = [];
+  this.coupon = null;
+  this.couponCode = null;
+  this.couponMessage = null;
+  return await this.save();
+};
+
+// Method to apply a coupon (validated by the pre-save hook)
+cartSchema.methods.applyCoupon = async function(coupon) {
+  this.coupon = coupon._id;
+  this.couponCode = coupon.code;
+  this.couponMessage = null;
+  return await this.save();
+};
+
+// Method to remove the applied coupon
+cartSchema.methods.removeCoupon = async function() {
+  this.coupon = null;
+  this.couponCode = null;
+  this.couponMessage = null;
   return await this.save();
 };
 
@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+
+// Product category. Categories form a tree through `parent`; `ancestors`
+// holds the ids from the root down to the parent, so a whole subtree can be
+// found with one query on `ancestors`.
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [60, 'Category name cannot exceed 60 characters']
+  },
+  // Defaults to a slug made from the name
+  slug: {
+    type: String,
+    required: [true, 'Slug is required (the name has no letters or digits to make one from)'],
+    trim: true,
+    lowercase: true,
+    maxlength: [80, 'Slug cannot exceed 80 characters'],
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and single dashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    default: null
+  },
+  ancestors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  // Lower numbers are listed first among siblings
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+categorySchema.index({ slug: 1 }, { unique: true });
+categorySchema.index({ parent: 1, name: 1 }, { unique: true });
+categorySchema.index({ ancestors: 1 });
+
+// URL-friendly slug for a name: "Home & Garden" -> "home-garden"
+categorySchema.statics.slugify = function(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80);
+};
+
+// Find categories by id, slug or name (names are matched through their slug,
+// so "Home & Garden" finds home-garden). Resolves to { categories, missing }
+// where `missing` lists the values that matched nothing.
+categorySchema.statics.resolve = async function(values) {
+  const ids = values.filter(value => /^[a-f\d]{24}$/i.test(value));
+  const categories = await this.find({
+    $or: [{ _id: { $in: ids } }, { slug: { $in: values.map(value => this.slugify(value)) } }]
+  });
+
+  const missing = values.filter(value => !categories.some(category =>
+    category._id.toString() === value || category.slug === this.slugify(value)
+  ));
+  return { categories, missing };
+};
+
+// Ids of the given categories and all their descendants
+categorySchema.statics.subtreeIds = async function(ids) {
+  const descendants = await this.find({ ancestors: { $in: ids } }).distinct('_id');
+  return [...ids, ...descendants];
+};
+
+// Resolve category filter values (ids, slugs or names) to
+// { selected, ids }: the matching category ids and those ids plus every
+// subcategory. Throws an error with statusCode 400 for unknown values.
+categorySchema.statics.expand = async function(values) {
+  const { categories, missing } = await this.resolve(values);
+  if (missing.length > 0) {
+    const error = new Error(`Unknown category: ${missing.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const selected = categories.map(category => category._id);
+  return { selected, ids: await this.subtreeIds(selected) };
+};
+
+// Nest a flat list of categories: each node gets `children`. Categories whose
+// parent is not in the list become roots.
+categorySchema.statics.buildTree = function(categories) {
+  const nodes = new Map(categories.map(category => [
+    category._id.toString(),
+    { ...(category.toObject ? category.toObject() : category), children: [] }
+  ]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    (parent ? parent.children : roots).push(node);
+  });
+  return roots;
+};
+
+// Ids from the root down to this category
+categorySchema.methods.lineage = function() {
+  return [...this.ancestors, this._id];
+};
+
+// Default the slug and keep `ancestors` in step with `parent`. A category
+// cannot be moved under itself or one of its descendants.
+categorySchema.pre('validate', async function() {
+  if (!this.slug && this.name) {
+    this.slug = this.constructor.slugify(this.name);
+  }
+
+  if (this.isNew || this.isModified('parent')) {
+    if (!this.parent) {
+      this.ancestors = [];
+    } else {
+      const parent = await this.constructor.findById(this.parent).select('ancestors');
+      if (!parent) {
+        this.invalidate('parent', 'Parent category not found');
+      } else if (parent._id.equals(this._id) || parent.ancestors.some(id => id.equals(this._id))) {
+        this.invalidate('parent', 'A category cannot be moved under itself or its subcategories');
+      } else {
+        this.ancestors = [...parent.ancestors, parent._id];
+      }
+    }
+  }
+
+  this.$locals.ancestorsChanged = !this.isNew && this.isModified('ancestors');
+});
+
+// After a move, rewrite the ancestors of every descendant
+categorySchema.post('save', async function() {
+  if (!this.$locals.ancestorsChanged) return;
+
+  const descendants = await this.constructor.find({ ancestors: this._id }).select('ancestors');
+  if (descendants.length === 0) return;
+
+  await this.constructor.bulkWrite(descendants.map(descendant => {
+    const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => id.equals(this._id)) + 1);
+    return {
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: { $set: { ancestors: [...this.ancestors, this._id, ...below] } }
+      }
+    };
+  }));
+});
+
+module.exports = mongoose.model('Category', categorySchema);
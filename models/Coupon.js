@@ -0,0 +1,193 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    trim: true,
+    uppercase: true,
+    minlength: [3, 'Coupon code must be at least 3 characters'],
+    maxlength: [30, 'Coupon code cannot exceed 30 characters'],
+    match: [/^[A-Z0-9_-]+$/, 'Coupon code may only contain letters, numbers, dashes and underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    required: [true, 'Coupon type is required'],
+    enum: {
+      values: ['percentage', 'fixed', 'free_shipping'],
+      message: '{VALUE} is not a valid coupon type'
+    }
+  },
+  // Percentage (0-100) for `percentage`, currency amount for `fixed`,
+  // ignored for `free_shipping`
+  value: {
+    type: Number,
+    default: 0,
+    min: [0, 'Value cannot be negative'],
+    validate: {
+      validator: function(v) {
+        return this.type !== 'percentage' || v <= 100;
+      },
+      message: 'Percentage discount cannot exceed 100%'
+    }
+  },
+  // Upper bound for percentage discounts (null = no cap)
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative'],
+    default: null
+  },
+  minCartValue: {
+    type: Number,
+    min: [0, 'Minimum cart value cannot be negative'],
+    default: 0
+  },
+  // Global redemption limit (null = unlimited)
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+    default: null
+  },
+  perUserLimit: {
+    type: Number,
+    min: [1, 'Per-user limit must be at least 1'],
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  redemptions: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    usedAt: { type: Date, default: Date.now }
+  }],
+  // Scoping: when either list is non-empty the coupon only discounts matching
+  // items. Empty lists mean the whole cart is eligible.
+  // Categories include their subcategories
+  applicableCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  applicableProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+couponSchema.index({ code: 1 }, { unique: true });
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+// Round a currency amount to 2 decimal places
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Number of times a user has redeemed this coupon
+couponSchema.methods.redemptionsFor = function(userId) {
+  if (!userId) return 0;
+  return this.redemptions.filter(r => r.user && r.user.toString() === userId.toString()).length;
+};
+
+// Check the coupon against a cart or order.
+// `lines` is [{ product, categories, amount }] where categories are the ids of
+// the product's category and its ancestors, and amount is the line total.
+// Returns { valid, discount, freeShipping, message }.
+couponSchema.methods.evaluate = function({ lines, userId }) {
+  const invalid = (message) => ({ valid: false, discount: 0, freeShipping: false, message });
+  const now = new Date();
+
+  if (!this.isActive) return invalid('This coupon is no longer active');
+  if (this.startsAt && this.startsAt > now) return invalid('This coupon is not active yet');
+  if (this.expiresAt && this.expiresAt <= now) return invalid('This coupon has expired');
+  if (this.usageLimit !== null && this.usedCount >= this.usageLimit) {
+    return invalid('This coupon has reached its usage limit');
+  }
+  if (this.redemptionsFor(userId) >= this.perUserLimit) {
+    return invalid('You have already used this coupon');
+  }
+
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  if (subtotal < this.minCartValue) {
+    return invalid(`Minimum cart value of ${this.minCartValue} required for this coupon`);
+  }
+
+  const scoped = this.applicableCategories.length > 0 || this.applicableProducts.length > 0;
+  const eligible = !scoped ? lines : lines.filter(line =>
+    this.applicableCategories.some(id => (line.categories || []).some(categoryId => categoryId.toString() === id.toString())) ||
+    this.applicableProducts.some(id => id.toString() === line.product.toString())
+  );
+  const eligibleSubtotal = eligible.reduce((sum, line) => sum + line.amount, 0);
+
+  if (eligible.length === 0) {
+    return invalid('This coupon does not apply to any items in your cart');
+  }
+
+  let discount = 0;
+  if (this.type === 'percentage') {
+    discount = eligibleSubtotal * this.value / 100;
+    if (this.maxDiscount !== null) discount = Math.min(discount, this.maxDiscount);
+  } else if (this.type === 'fixed') {
+    discount = Math.min(this.value, eligibleSubtotal);
+  }
+
+  return {
+    valid: true,
+    discount: roundPrice(discount),
+    freeShipping: this.type === 'free_shipping',
+    message: null
+  };
+};
+
+// Atomically record a redemption, respecting the global and per-user usage
+// limits, so concurrent checkouts cannot both use the last redemption.
+// Resolves to the updated coupon, or null if a limit was hit in the meantime.
+couponSchema.statics.redeem = function(couponId, userId, orderId) {
+  // $expr does not cast, so compare against a real ObjectId
+  const user = new mongoose.Types.ObjectId(userId.toString());
+  const userRedemptions = {
+    $size: {
+      $filter: { input: { $ifNull: ['$redemptions', []] }, as: 'redemption', cond: { $eq: ['$$redemption.user', user] } }
+    }
+  };
+
+  return this.findOneAndUpdate(
+    {
+      _id: couponId,
+      $and: [
+        { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] },
+        { $or: [{ perUserLimit: null }, { $expr: { $lt: [userRedemptions, '$perUserLimit'] } }] }
+      ]
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: { user, order: orderId } }
+    },
+    { new: true }
+  );
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { storedImage } = require('./storedImage');
+
+// An image in a user's media library. Uploaded once, served from a stable URL
+// (/api/media/:id/file) and attachable to any of the owner's products.
+const mediaSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ...storedImage,
+  width: Number,
+  height: Number,
+  // Bytes held in storage: the original plus its resized copies. Counted
+  // against the owner's quota.
+  bytes: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+mediaSchema.index({ owner: 1, createdAt: -1, _id: -1 });
+
+mediaSchema.virtual('url').get(function() {
+  return `/api/media/${this._id}/file`;
+});
+
+// Storage bytes used by a user's media library
+mediaSchema.statics.usageFor = async function(userId) {
+  const [result] = await this.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(userId.toString()) } },
+    { $group: { _id: null, bytes: { $sum: '$bytes' }, count: { $sum: 1 } } }
+  ]);
+  return result ? { bytes: result.bytes, count: result.count } : { bytes: 0, count: 0 };
+};
+
+// Hide storage internals; expose the file URLs instead
+mediaSchema.methods.toJSON = function() {
+  const media = this.toObject();
+  media.url = this.url;
+  media.thumbnailUrl = `${this.url}?size=thumbnail`;
+  delete media.storage;
+  delete media.key;
+  delete media.sizes;
+  delete media.hash;
+  return media;
+};
+
+module.exports = mongoose.model('Media', mediaSchema);
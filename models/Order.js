@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+
+// Order line items are a snapshot of the product at checkout time so that later
+// edits to (or deletion of) the product never change what the buyer paid for.
+const orderItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+    immutable: true
+  },
+  // Variant snapshot for products with variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+    immutable: true
+  },
+  sku: {
+    type: String,
+    immutable: true
+  },
+  attributes: {
+    type: Map,
+    of: String,
+    immutable: true
+  },
+  name: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  image: {
+    type: String,
+    immutable: true
+  },
+  // Category name at the time of purchase, and its id
+  category: {
+    type: String,
+    immutable: true
+  },
+  categoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    immutable: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: [0, 'Price cannot be negative'],
+    immutable: true
+  },
+  discount: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    max: [100, 'Discount cannot exceed 100%'],
+    default: 0,
+    immutable: true
+  },
+  unitPrice: {
+    type: Number,
+    required: true,
+    min: [0, 'Unit price cannot be negative'],
+    immutable: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1'],
+    max: [100, 'Quantity cannot exceed 100'],
+    immutable: true
+  },
+  lineTotal: {
+    type: Number,
+    required: true,
+    min: [0, 'Line total cannot be negative'],
+    immutable: true
+  }
+}, { _id: false });
+
+const orderSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  items: {
+    type: [orderItemSchema],
+    immutable: true,
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length > 0;
+      },
+      message: 'Order must contain at least one item'
+    }
+  },
+  shippingAddress: {
+    street: { type: String, trim: true },
+    city: { type: String, trim: true },
+    state: { type: String, trim: true },
+    zipCode: { type: String, trim: true },
+    country: { type: String, trim: true }
+  },
+  totalItems: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  subtotal: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  // Product discounts plus the coupon discount
+  discountTotal: {
+    type: Number,
+    default: 0,
+    immutable: true
+  },
+  couponCode: {
+    type: String,
+    default: null,
+    immutable: true
+  },
+  couponDiscount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Coupon discount cannot be negative'],
+    immutable: true
+  },
+  shippingFee: {
+    type: Number,
+    default: 0,
+    min: [0, 'Shipping fee cannot be negative'],
+    immutable: true
+  },
+  totalPrice: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ['pending', 'paid', 'shipped', 'delivered', 'cancelled'],
+      message: '{VALUE} is not a valid order status'
+    },
+    default: 'pending'
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+orderSchema.index({ user: 1, createdAt: -1 });
+orderSchema.index({ status: 1, createdAt: -1 });
+
+// Round a currency amount to 2 decimal places
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+// Build an order line snapshot from a product document, an optional variant
+// and a quantity
+orderSchema.statics.buildItem = function(product, quantity, variant = null) {
+  const price = product.priceFor(variant);
+  const discount = product.discount || 0;
+  const unitPrice = product.finalPriceFor(variant);
+
+  return {
+    product: product._id,
+    variant: variant ? variant._id : null,
+    sku: variant ? variant.sku : undefined,
+    attributes: variant ? variant.attributes : undefined,
+    name: product.name,
+    image: (variant && variant.image) || product.image,
+    // `product.category` must be populated
+    category: product.category ? product.category.name : undefined,
+    categoryId: product.category ? product.category._id : undefined,
+    price,
+    discount,
+    unitPrice,
+    quantity,
+    lineTotal: roundPrice(unitPrice * quantity)
+  };
+};
+
+// Calculate totals from the snapshotted items before the first save
+orderSchema.pre('validate', function(next) {
+  if (this.isNew) {
+    this.totalItems = this.items.reduce((sum, item) => sum + item.quantity, 0);
+    this.subtotal = roundPrice(this.items.reduce((sum, item) => sum + (item.price * item.quantity), 0));
+    const itemsTotal = roundPrice(this.items.reduce((sum, item) => sum + item.lineTotal, 0));
+    this.discountTotal = roundPrice(this.subtotal - itemsTotal + this.couponDiscount);
+    this.totalPrice = roundPrice(itemsTotal - this.couponDiscount + this.shippingFee);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Order', orderSchema);
@@ -1,4 +1,50 @@
 const mongoose = require('mongoose');
+const { storedImage } = require('./storedImage');
+
+// A purchasable variant of a product (e.g. size M / color Red). Variants have
+// their own SKU and stock, and may override the product price and image.
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'SKU cannot exceed 50 characters']
+  },
+  // e.g. { size: 'M', color: 'Red' } or { storage: '256GB' }
+  attributes: {
+    type: Map,
+    of: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Attribute value cannot exceed 50 characters']
+    },
+    default: {}
+  },
+  // Overrides the product price when set
+  price: {
+    type: Number,
+    min: [0, 'Price cannot be negative'],
+    max: [1000000, 'Price cannot exceed 1,000,000'],
+    default: null
+  },
+  stock: {
+    type: Number,
+    required: [true, 'Variant stock is required'],
+    min: [0, 'Stock cannot be negative'],
+    max: [10000, 'Stock cannot exceed 10,000'],
+    default: 0
+  },
+  image: {
+    type: String,
+    validate: {
+      validator: function(v) {
+        return !v || /^https?:\/\/.+/.test(v);
+      },
+      message: 'Please provide a valid image URL'
+    }
+  }
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -15,33 +61,34 @@ const productSchema = new mongoose.Schema({
     minlength: [10, 'Description must be at least 10 characters'],
     maxlength: [2000, 'Description cannot exceed 2000 characters']
   },
+  // Seller's own stock keeping unit, unique per owner. Bulk imports update
+  // the product with the same SKU instead of creating a new one.
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [50, 'SKU cannot exceed 50 characters']
+  },
   price: {
     type: Number,
     required: [true, 'Product price is required'],
     min: [0, 'Price cannot be negative'],
     max: [1000000, 'Price cannot exceed 1,000,000']
   },
+  // Managed through /api/categories (see models/Category.js)
   category: {
-    type: String,
-    required: [true, 'Product category is required'],
-    enum: {
-      values: ['Electronics', 'Clothing', 'Home & Garden', 'Sports', 'Books', 'Toys', 'Food', 'Beauty', 'Automotive', 'Other'],
-      message: '{VALUE} is not a valid category'
-    }
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+    required: [true, 'Product category is required']
   },
   image: {
     type: String,
     default: 'https://via.placeholder.com/400x400?text=No+Image'
   },
-  // Binary image data stored directly in MongoDB. Use `imageData` when uploading
-  // the file as binary (e.g., via multipart form). `image` string is kept for
-  // backward compatibility (URL) but `imageData` is preferred to avoid relying
-  // on external/localhost URLs.
-  imageData: {
-    data: Buffer,
-    contentType: String,
-    filename: String
-  },
+  // Uploaded main image, served from /api/products/:id/image. `image` string is
+  // kept for backward compatibility (URL) but `imageData` is preferred to avoid
+  // relying on external/localhost URLs.
+  imageData: storedImage,
   images: [{
     type: String,
     validate: {
@@ -51,12 +98,23 @@ const productSchema = new mongoose.Schema({
       message: 'Please provide a valid image URL'
     }
   }],
-  // Optionally allow multiple binary images as well
+  // Uploaded image gallery. Each image has its own _id and is served
+  // from /api/products/:id/images/:imageId in the order of this array.
   imagesData: [{
-    data: Buffer,
-    contentType: String,
-    filename: String
+    ...storedImage,
+    // Set when the image was attached from the media library. The files then
+    // belong to the Media item and are not removed with the gallery entry.
+    media: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Media',
+      default: null
+    }
   }],
+  // _id of the gallery image shown first (defaults to the first image)
+  primaryImage: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   stock: {
     type: Number,
     required: [true, 'Stock quantity is required'],
@@ -64,12 +122,28 @@ const productSchema = new mongoose.Schema({
     max: [10000, 'Stock cannot exceed 10,000'],
     default: 0
   },
+  variants: {
+    type: [variantSchema],
+    validate: {
+      validator: function(variants) {
+        const skus = variants.map(v => v.sku);
+        return new Set(skus).size === skus.length;
+      },
+      message: 'Variant SKUs must be unique within a product'
+    }
+  },
+  // Average of published reviews, maintained by the Review model
   rating: {
     type: Number,
     default: 0,
     min: 0,
     max: 5
   },
+  reviewCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   discount: {
     type: Number,
     min: [0, 'Discount cannot be negative'],
@@ -99,6 +173,17 @@ const productSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set when the product is moved to the trash (isActive is false meanwhile);
+  // trashed products are purged after PRODUCT_TRASH_RETENTION_DAYS
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // isActive as it was when the product was trashed, put back on restore
+  activeBeforeDelete: {
+    type: Boolean,
+    default: null
   }
 }, {
   timestamps: true
@@ -108,7 +193,14 @@ const productSchema = new mongoose.Schema({
 productSchema.index({ name: 'text', description: 'text' });
 productSchema.index({ category: 1, isPublic: 1, isActive: 1 });
 productSchema.index({ owner: 1, createdAt: -1 });
+productSchema.index({ owner: 1, sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
 productSchema.index({ price: 1 });
+productSchema.index({ isPublic: 1, createdAt: -1, _id: -1 });
+productSchema.index({ rating: -1, reviewCount: -1 });
+productSchema.index({ 'variants.sku': 1 });
+productSchema.index({ isPublic: 1, tags: 1 });
+productSchema.index({ owner: 1, deletedAt: -1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+productSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
 
 // Virtual for discounted price
 productSchema.virtual('discountedPrice').get(function() {
@@ -125,6 +217,61 @@ productSchema.virtual('stockStatus').get(function() {
   return 'In Stock';
 });
 
+// Method to check whether the product is in the trash
+productSchema.methods.isInTrash = function() {
+  return Boolean(this.deletedAt);
+};
+
+// Method to move the product to the trash. Carts keep their lines, which
+// show as unavailable until the product is restored or purged.
+productSchema.methods.softDelete = function() {
+  this.activeBeforeDelete = this.isActive;
+  this.isActive = false;
+  this.deletedAt = new Date();
+  return this.save({ validateModifiedOnly: true });
+};
+
+// Method to take the product out of the trash, active again only if it was
+// active when trashed (products trashed before this was recorded count as active)
+productSchema.methods.restore = function() {
+  this.isActive = this.activeBeforeDelete !== false;
+  this.activeBeforeDelete = null;
+  this.deletedAt = null;
+  return this.save({ validateModifiedOnly: true });
+};
+
+// Find a variant by id
+productSchema.methods.getVariant = function(variantId) {
+  if (!variantId) return null;
+  return this.variants.find(v => v._id.toString() === variantId.toString()) || null;
+};
+
+// Price of the product, or of one of its variants if it overrides the price
+productSchema.methods.priceFor = function(variant) {
+  return variant && variant.price !== null && variant.price !== undefined ? variant.price : this.price;
+};
+
+// Price actually charged after the product discount, rounded to cents
+productSchema.methods.finalPriceFor = function(variant) {
+  const price = this.priceFor(variant);
+  const discount = this.discount || 0;
+  return Math.round((price - (price * discount / 100)) * 100) / 100;
+};
+
+// Pricing snapshot stored on cart items
+productSchema.methods.pricingFor = function(variant) {
+  return {
+    price: this.finalPriceFor(variant),
+    originalPrice: this.priceFor(variant),
+    discount: this.discount || 0
+  };
+};
+
+// Stock of the product, or of one of its variants
+productSchema.methods.stockFor = function(variant) {
+  return variant ? variant.stock : this.stock;
+};
+
 // Ensure images array has the main image
 productSchema.pre('save', function(next) {
   if (this.image && this.images.length === 0) {
@@ -133,4 +280,12 @@ productSchema.pre('save', function(next) {
   next();
 });
 
+// With variants, the product stock is the total across all variants
+productSchema.pre('save', function(next) {
+  if (this.variants.length > 0) {
+    this.stock = this.variants.reduce((sum, v) => sum + v.stock, 0);
+  }
+  next();
+});
+
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Events are kept this long; trending only looks at the recent ones
+const PRODUCT_EVENT_TTL_DAYS = Number(process.env.PRODUCT_EVENT_TTL_DAYS) || 30;
+
+// One interaction with a product, used to rank trending products.
+// Views carry the viewer key and the time window they were counted in, so
+// each viewer counts at most once per window.
+const productEventSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['view', 'cart', 'purchase'],
+    required: true
+  },
+  // Hashed viewer identity (user id, guest cart token or IP + user agent)
+  viewer: {
+    type: String,
+    default: null
+  },
+  // Start of the view window, for de-duplication
+  window: {
+    type: Date,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Create indexes
+productEventSchema.index(
+  { product: 1, viewer: 1, window: 1 },
+  { unique: true, partialFilterExpression: { type: 'view' } }
+);
+// Also serves the trending query's time range
+productEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: PRODUCT_EVENT_TTL_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('ProductEvent', productEventSchema);
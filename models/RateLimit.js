@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Request counter for one rate limit key and window (used by the mongo rate
+// limit store, see utils/rateLimitStore.js)
+const rateLimitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Create indexes
+rateLimitSchema.index({ key: 1 }, { unique: true });
+// MongoDB removes finished windows in the background
+rateLimitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimit', rateLimitSchema);
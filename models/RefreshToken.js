@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Refresh tokens are opaque random strings; only their SHA-256 hash is stored.
+// Every login starts a new `family`. Each refresh rotates the token inside its
+// family, so presenting an already-rotated token means it was stolen and the
+// whole family is revoked.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  replacedBy: {
+    type: String,
+    default: null
+  },
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+// Create indexes
+refreshTokenSchema.index({ tokenHash: 1 }, { unique: true });
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+// Let MongoDB purge expired tokens automatically
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token for storage/lookup
+refreshTokenSchema.statics.hash = function(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Revoke every token in a family (logout or reuse detection)
+refreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany({ family, revokedAt: null }, { revokedAt: new Date() });
+};
+
+// Revoke every token a user holds (logout everywhere, password change)
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date() });
+};
+
+refreshTokenSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
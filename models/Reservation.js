@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A temporary hold on product (or variant) stock for one cart line. Holds are
+// created when an item is added to a cart and disappear when the item is
+// removed, the cart is cleared or checked out, or `expiresAt` passes.
+const reservationSchema = new mongoose.Schema({
+  cart: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cart',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+reservationSchema.index({ cart: 1, product: 1, variant: 1 }, { unique: true });
+reservationSchema.index({ product: 1, variant: 1, expiresAt: 1 });
+// MongoDB removes expired holds in the background (roughly once a minute);
+// queries also filter on expiresAt so a hold stops counting the moment it expires.
+reservationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
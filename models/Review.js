@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+const reviewSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Review must belong to a product']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Review must have an author']
+  },
+  rating: {
+    type: Number,
+    required: [true, 'Rating is required'],
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot exceed 5']
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [2000, 'Comment cannot exceed 2000 characters']
+  },
+  // Set when the author has a non-cancelled order containing the product
+  verifiedPurchase: {
+    type: Boolean,
+    default: false
+  },
+  // Moderation: only published reviews are shown publicly and count towards
+  // the product rating.
+  status: {
+    type: String,
+    enum: {
+      values: ['published', 'hidden'],
+      message: '{VALUE} is not a valid review status'
+    },
+    default: 'published'
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderationNote: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Moderation note cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Create indexes
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+reviewSchema.index({ product: 1, status: 1, createdAt: -1 });
+
+// Recompute the product's average rating and review count from published reviews
+reviewSchema.statics.calcProductRating = async function(productId) {
+  const [stats] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(productId), status: 'published' } },
+    { $group: { _id: '$product', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+
+  await mongoose.model('Product').updateOne({ _id: productId }, {
+    rating: stats ? Math.round(stats.average * 10) / 10 : 0,
+    reviewCount: stats ? stats.count : 0
+  });
+};
+
+// Keep the product rating in sync on every change
+reviewSchema.post('save', async function(doc) {
+  await doc.constructor.calcProductRating(doc.product);
+});
+
+reviewSchema.post('deleteOne', { document: true, query: false }, async function(doc) {
+  await doc.constructor.calcProductRating(doc.product);
+});
+
+module.exports = mongoose.model('Review', reviewSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -63,6 +64,38 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
     default: null
+  },
+  // Access tokens issued before either of these dates are rejected
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  sessionsRevokedAt: {
+    type: Date,
+    default: null
+  },
+  // SHA-256 hash of the single-use password reset token
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  // SHA-256 hash of the email verification token
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  // Used to throttle resending verification emails
+  emailVerificationSentAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -72,6 +105,8 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 }, { unique: true });
 userSchema.index({ role: 1 });
 userSchema.index({ isActive: 1 });
+userSchema.index({ passwordResetToken: 1 }, { sparse: true });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function(next) {
@@ -83,6 +118,10 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    // Back-date by a second so a token issued right after the change stays valid
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date(Date.now() - 1000);
+    }
     next();
   } catch (error) {
     next(error);
@@ -98,10 +137,40 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Method to check whether a token issued at `iat` (seconds) has been revoked
+// by a password change or a logout from all devices
+userSchema.methods.isTokenRevoked = function(iat) {
+  const issuedAt = iat * 1000;
+  return [this.passwordChangedAt, this.sessionsRevokedAt]
+    .some(date => date && issuedAt < date.getTime());
+};
+
+// Method to create a password reset token. Only the hash is stored; the raw
+// token is returned so it can be emailed to the user.
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+  return token;
+};
+
+// Method to create an email verification token. Only the hash is stored.
+userSchema.methods.createEmailVerificationToken = function(expiresInHours) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+  return token;
+};
+
 // Method to remove sensitive data
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetToken;
+  delete user.passwordResetExpires;
+  delete user.emailVerificationToken;
+  delete user.emailVerificationExpires;
   return user;
 };
 
@@ -0,0 +1,29 @@
+// Schema definition shared by documents that hold an uploaded image (product
+// images and media library items). The bytes live in image storage (see
+// utils/imageStorage.js); the document keeps the storage key of the uploaded
+// original and of each resized copy generated at upload time (see
+// utils/images.js). `hash` and `uploadedAt` back the ETag and Last-Modified
+// headers.
+const storedFile = {
+  key: String,
+  contentType: String,
+  size: Number
+};
+
+const storedImage = {
+  // Storage backend holding the files ('gridfs' or 'disk')
+  storage: String,
+  key: String,
+  contentType: String,
+  filename: String,
+  size: Number,
+  sizes: {
+    thumbnail: storedFile,
+    card: storedFile,
+    full: storedFile
+  },
+  hash: String,
+  uploadedAt: Date
+};
+
+module.exports = { storedFile, storedImage };
@@ -0,0 +1,378 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const Cart = require('../models/Cart');
+const AuditLog = require('../models/AuditLog');
+const { protect, admin } = require('../middleware/auth');
+const pagination = require('../utils/pagination');
+const { revokeAllSessions } = require('../utils/tokens');
+const { sendPasswordResetEmail } = require('../utils/emails');
+const audit = require('../utils/audit');
+const { escapeRegex } = require('../utils/text');
+
+// Every admin route requires an authenticated admin
+router.use(protect, admin);
+
+// Admins must not lock themselves out by accident
+const isSelf = (req) => req.params.id === req.user._id.toString();
+
+// Audit log target for a user account (users own their account)
+const userTarget = (user) => ({ type: 'User', id: user._id, label: user.email, owner: user._id });
+
+// @route   GET /api/admin/users
+// @desc    List users (search by name/email, filter by role and isActive)
+// @access  Private/Admin
+router.get('/users', async (req, res) => {
+  try {
+    const { search, role, isActive } = req.query;
+
+    const filter = {};
+    if (role) filter.role = role;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const limit = pagination.parseLimit(req.query.limit);
+    const page = pagination.parsePage(req.query.page);
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: users.length,
+      total,
+      page,
+      limit,
+      data: users
+    });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching users',
+      data: [],
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    Get a user with their products and cart
+// @access  Private/Admin
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [products, cart] = await Promise.all([
+      Product.find({ owner: user._id })
+        .select('-imageData -imagesData')
+        .sort({ createdAt: -1 })
+        .lean(),
+      Cart.findOne({ user: user._id })
+        .populate('items.product', 'name price stock isActive')
+        .lean()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        products,
+        cart
+      }
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching user',
+      error: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/admin/users/:id/role
+// @desc    Change a user's role
+// @access  Private/Admin
+router.patch('/users/:id/role', [
+  body('role')
+    .isIn(['user', 'admin'])
+    .withMessage('Role must be either user or admin')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    if (isSelf(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = req.body.role;
+    const updatedUser = await user.save({ validateModifiedOnly: true });
+
+    const changes = audit.diff({ role: previousRole }, { role: updatedUser.role });
+    if (changes.length > 0) {
+      await audit.record(req, { action: 'user.role_change', target: userTarget(user), changes });
+    }
+
+    res.json({
+      success: true,
+      message: `User role changed to ${updatedUser.role}`,
+      data: updatedUser
+    });
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error changing role',
+      error: error.message
+    });
+  }
+});
+
+// Shared handler for deactivate/reactivate
+const setActive = (isActive) => async (req, res) => {
+  try {
+    if (isSelf(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change the status of your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const wasActive = user.isActive;
+    user.isActive = isActive;
+    const updatedUser = await user.save({ validateModifiedOnly: true });
+
+    const changes = audit.diff({ isActive: wasActive }, { isActive });
+    if (changes.length > 0) {
+      await audit.record(req, {
+        action: isActive ? 'user.reactivate' : 'user.deactivate',
+        target: userTarget(user),
+        changes
+      });
+    }
+
+    // A deactivated user must not keep working sessions
+    if (!isActive) {
+      await revokeAllSessions(user._id);
+    }
+
+    res.json({
+      success: true,
+      message: `User account ${isActive ? 'reactivated' : 'deactivated'}`,
+      data: updatedUser
+    });
+  } catch (error) {
+    console.error('Admin set active error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating account status',
+      error: error.message
+    });
+  }
+};
+
+// @route   PATCH /api/admin/users/:id/deactivate
+// @desc    Deactivate a user account and end its sessions
+// @access  Private/Admin
+router.patch('/users/:id/deactivate', setActive(false));
+
+// @route   PATCH /api/admin/users/:id/reactivate
+// @desc    Reactivate a user account
+// @access  Private/Admin
+router.patch('/users/:id/reactivate', setActive(true));
+
+// @route   POST /api/admin/users/:id/force-password-reset
+// @desc    Invalidate a user's password and sessions and email them a reset link
+// @access  Private/Admin
+router.post('/users/:id/force-password-reset', async (req, res) => {
+  try {
+    if (isSelf(req)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use change password for your own account'
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Replace the password with an unguessable one so only the reset link works
+    user.password = crypto.randomBytes(32).toString('hex');
+    await user.save({ validateModifiedOnly: true });
+    await revokeAllSessions(user._id);
+    await audit.record(req, {
+      action: 'user.force_password_reset',
+      target: userTarget(user),
+      changes: audit.PASSWORD_CHANGES
+    });
+
+    const sent = await sendPasswordResetEmail(user);
+
+    res.json({
+      success: true,
+      message: sent
+        ? 'Password reset forced and reset link sent to the user'
+        : 'Password reset forced, but the reset email could not be sent',
+      data: { emailSent: sent }
+    });
+  } catch (error) {
+    console.error('Admin force password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error forcing password reset',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/audit
+// @desc    List audit log entries, newest first. Filters: actor, action
+//          (comma separated), targetType, target, privileged, ip, from, to
+// @access  Private/Admin
+router.get('/audit', async (req, res) => {
+  try {
+    let filter;
+    try {
+      filter = audit.buildFilter(req.query);
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const limit = pagination.parseLimit(req.query.limit);
+    const page = pagination.parsePage(req.query.page);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      limit,
+      data: entries
+    });
+  } catch (error) {
+    console.error('Admin list audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching audit log',
+      data: [],
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/audit/export
+// @desc    Download the audit log entries matching the list filters as
+//          ?format=csv|json (default csv)
+// @access  Private/Admin
+router.get('/audit/export', (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'format must be csv or json'
+    });
+  }
+
+  let filter;
+  try {
+    filter = audit.buildFilter(req.query);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  const filename = `audit-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+
+  const stream = audit.exportStream(filter, format);
+  // Stop reading from the database when the client goes away
+  res.on('close', () => stream.destroy());
+  stream.on('error', (error) => {
+    console.error('Admin export audit log error:', error);
+    if (res.headersSent) {
+      // Cut the download short so the client sees it failed
+      res.destroy(error);
+    } else {
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({
+        success: false,
+        message: 'Error exporting audit log',
+        error: error.message
+      });
+    }
+  });
+  stream.pipe(res);
+});
+
+module.exports = router;
@@ -1,21 +1,57 @@
 const express = require('express');
 const router = express.Router();
+const crypto = require('crypto');
 const { body, validationResult } = require('express-validator');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
 const { protect } = require('../middleware/auth');
+const { limit } = require('../middleware/rateLimit');
+const { createRefreshToken, generateAccessToken, issueTokens, revokeAllSessions } = require('../utils/tokens');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/emails');
+const { mergeGuestCart } = require('../utils/cartMerge');
+const audit = require('../utils/audit');
+const loginLockout = require('../utils/loginLockout');
 
-// Generate JWT Token
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '30d'
+const VERIFY_RESEND_SECONDS = Number(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+
+// Merge the guest cart (if the client sent its token in X-Cart-Token or
+// `cartToken`) into the user's cart. A failed merge never blocks signing in.
+const mergeGuestCartFor = async (req, userId) => {
+  const guestToken = req.get('X-Cart-Token') || req.body.cartToken;
+  if (!guestToken) return null;
+
+  try {
+    return await mergeGuestCart(guestToken, userId);
+  } catch (error) {
+    console.error('Guest cart merge error:', error);
+    return null;
+  }
+};
+
+// 423 response for an email locked after too many failed logins. Sent the
+// same way for registered and unknown emails.
+const lockedResponse = (res, lockUntil) => {
+  const seconds = Math.max(Math.ceil((lockUntil.getTime() - Date.now()) / 1000), 1);
+  res.set('Retry-After', String(seconds));
+  return res.status(423).json({
+    success: false,
+    message: `Too many failed login attempts, please try again in ${seconds} seconds`
   });
 };
 
+// Validation for routes that take a refresh token in the body
+const refreshTokenValidation = [
+  body('refreshToken')
+    .notEmpty()
+    .withMessage('Refresh token is required')
+    .isString()
+    .withMessage('Refresh token must be a string')
+];
+
 // @route   POST /api/auth/signup
 // @desc    Register a new user
 // @access  Public
-router.post('/signup', [
+router.post('/signup', limit.auth, [
   body('name')
     .trim()
     .notEmpty()
@@ -65,6 +101,10 @@ router.post('/signup', [
     });
 
     if (user) {
+      await sendVerificationEmail(user);
+      const tokens = await issueTokens(user._id, req);
+      const cartMerge = await mergeGuestCartFor(req, user._id);
+
       res.status(201).json({
         success: true,
         message: 'User registered successfully',
@@ -73,7 +113,9 @@ router.post('/signup', [
           name: user.name,
           email: user.email,
           role: user.role,
-          token: generateToken(user._id)
+          emailVerified: user.emailVerified,
+          ...tokens,
+          cartMerge
         }
       });
     }
@@ -90,7 +132,7 @@ router.post('/signup', [
 // @route   POST /api/auth/login
 // @desc    Login user & get token
 // @access  Public
-router.post('/login', [
+router.post('/login', limit.auth, [
   body('email')
     .trim()
     .notEmpty()
@@ -101,7 +143,7 @@ router.post('/login', [
   body('password')
     .notEmpty()
     .withMessage('Password is required')
-], async (req, res) => {
+], limit.account, async (req, res) => {
   // Check for validation errors
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -114,34 +156,52 @@ router.post('/login', [
   const { email, password } = req.body;
 
   try {
-    // Find user by email (include password for comparison)
-    const user = await User.findOne({ email }).select('+password');
+    // Locked emails are refused before anything is checked
+    const lockUntil = await loginLockout.lockedUntil(email);
+    if (lockUntil) {
+      return lockedResponse(res, lockUntil);
+    }
 
-    if (!user) {
+    // Unknown emails count as failures too, so locking cannot reveal accounts
+    const failedLogin = async () => {
+      const newLock = await loginLockout.registerFailure(email);
+      if (newLock) {
+        return lockedResponse(res, newLock);
+      }
       return res.status(401).json({ 
         success: false,
         message: 'Invalid email or password' 
       });
-    }
+    };
 
-    // Check if user is active
-    if (!user.isActive) {
-      return res.status(401).json({ 
-        success: false,
-        message: 'Account is deactivated' 
-      });
+    // Find user by email (include password for comparison)
+    const user = await User.findOne({ email }).select('+password');
+
+    if (!user) {
+      return failedLogin();
     }
 
     // Check password
     const isPasswordMatch = await user.comparePassword(password);
 
     if (!isPasswordMatch) {
+      return failedLogin();
+    }
+
+    // Only tell the account is deactivated once the password is right, so
+    // deactivated accounts cannot be found without it
+    if (!user.isActive) {
       return res.status(401).json({ 
         success: false,
-        message: 'Invalid email or password' 
+        message: 'Account is deactivated' 
       });
     }
 
+    await loginLockout.clear(email);
+
+    const tokens = await issueTokens(user._id, req);
+    const cartMerge = await mergeGuestCartFor(req, user._id);
+
     res.json({
       success: true,
       message: 'Login successful',
@@ -150,7 +210,9 @@ router.post('/login', [
         name: user.name,
         email: user.email,
         role: user.role,
-        token: generateToken(user._id)
+        emailVerified: user.emailVerified,
+        ...tokens,
+        cartMerge
       }
     });
   } catch (error) {
@@ -242,12 +304,19 @@ router.put('/updateprofile', protect, [
     }
 
     const user = await User.findById(req.user._id);
+    const emailChanged = email && email !== user.email;
     
     if (name) user.name = name;
     if (email) user.email = email;
+    // A new address has to be verified again
+    if (emailChanged) user.emailVerified = false;
     
     const updatedUser = await user.save();
 
+    if (emailChanged) {
+      await sendVerificationEmail(updatedUser);
+    }
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -301,16 +370,355 @@ router.put('/changepassword', protect, [
     
     user.password = newPassword;
     await user.save();
+    await audit.record(req, {
+      action: 'user.password_change',
+      target: { type: 'User', id: user._id, label: user.email, owner: user._id },
+      changes: audit.PASSWORD_CHANGES
+    });
+
+    // Sign out every other session; the caller gets a fresh token pair
+    await RefreshToken.revokeAllForUser(user._id);
+    const tokens = await issueTokens(user._id, req);
 
     res.json({
       success: true,
       message: 'Password changed successfully',
+      data: tokens
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+});
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Confirm an email address
+// @access  Public
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const tokenHash = crypto.createHash('sha256').update(req.params.token).digest('hex');
+
+    const user = await User.findOne({
+      emailVerificationToken: tokenHash,
+      emailVerificationExpires: { $gt: new Date() }
+    }).select('+emailVerificationToken +emailVerificationExpires');
+
+    if (!user) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Verification link is invalid or has expired' 
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email (throttled)
+// @access  Private
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Email is already verified' 
+      });
+    }
+
+    if (user.emailVerificationSentAt) {
+      const elapsed = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+      if (elapsed < VERIFY_RESEND_SECONDS) {
+        const retryAfter = Math.ceil(VERIFY_RESEND_SECONDS - elapsed);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ 
+          success: false,
+          message: `Please wait ${retryAfter} seconds before requesting another email` 
+        });
+      }
+    }
+
+    const sent = await sendVerificationEmail(user);
+
+    if (!sent) {
+      return res.status(502).json({ 
+        success: false,
+        message: 'Could not send verification email, please try again later' 
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', refreshTokenValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false,
+      errors: errors.array() 
+    });
+  }
+
+  try {
+    const tokenHash = RefreshToken.hash(req.body.refreshToken);
+
+    // Claim the token atomically: of two concurrent refreshes with the same
+    // token only one gets it, the other is treated as reuse below
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!stored) {
+      const existing = await RefreshToken.findOne({ tokenHash });
+
+      if (!existing || existing.isExpired) {
+        return res.status(401).json({ 
+          success: false,
+          message: 'Invalid or expired refresh token' 
+        });
+      }
+
+      // A revoked token being presented again means it was leaked: kill the
+      // whole session so neither the thief nor the owner can keep using it.
+      await RefreshToken.revokeFamily(existing.family);
+      console.warn(`Refresh token reuse detected for user ${existing.user}`);
+      return res.status(401).json({ 
+        success: false,
+        message: 'Refresh token has been revoked, please log in again' 
+      });
+    }
+
+    const user = await User.findById(stored.user);
+
+    if (!user || !user.isActive) {
+      await RefreshToken.revokeFamily(stored.family);
+      return res.status(401).json({ 
+        success: false,
+        message: 'User not found or deactivated' 
+      });
+    }
+
+    // Rotate: the presented token is already revoked, issue its successor
+    const refreshToken = await createRefreshToken(user._id, req, stored.family);
+    await RefreshToken.updateOne({ _id: stored._id }, { replacedBy: RefreshToken.hash(refreshToken) });
+
+    res.json({
+      success: true,
+      message: 'Token refreshed',
       data: {
-        token: generateToken(user._id)
+        token: generateAccessToken(user._id),
+        refreshToken
       }
     });
   } catch (error) {
-    console.error('Change password error:', error);
+    console.error('Refresh token error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the session belonging to a refresh token
+// @access  Public
+router.post('/logout', refreshTokenValidation, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false,
+      errors: errors.array() 
+    });
+  }
+
+  try {
+    const stored = await RefreshToken.findOne({ tokenHash: RefreshToken.hash(req.body.refreshToken) });
+
+    if (stored) {
+      await RefreshToken.revokeFamily(stored.family);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session of the current user, including access tokens
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    await revokeAllSessions(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', limit.auth, [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('Email is required')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail()
+], limit.account, async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false,
+      errors: errors.array() 
+    });
+  }
+
+  // Same response whether or not the email is registered, so the endpoint
+  // cannot be used to discover accounts
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent'
+  };
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Answer before doing any mail work, so registered emails do not take
+    // measurably longer than unknown ones
+    res.json(genericResponse);
+
+    if (user && user.isActive) {
+      sendPasswordResetEmail(user).catch(error => console.error('Forgot password error:', error));
+    }
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      success: false,
+      message: 'Server error',
+      error: error.message 
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', limit.auth, [
+  body('token')
+    .notEmpty()
+    .withMessage('Reset token is required')
+    .isString()
+    .withMessage('Reset token must be a string'),
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ 
+      success: false,
+      errors: errors.array() 
+    });
+  }
+
+  try {
+    const tokenHash = crypto.createHash('sha256').update(req.body.token).digest('hex');
+
+    // Single use: claim the token in one step, so two requests sent at the
+    // same time cannot both use it
+    const user = await User.findOneAndUpdate(
+      { passwordResetToken: tokenHash, passwordResetExpires: { $gt: new Date() } },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Password reset link is invalid or has expired' 
+      });
+    }
+
+    user.password = req.body.password;
+    await user.save();
+    // Proving access to the mailbox also lifts a login lockout
+    await loginLockout.clear(user.email);
+    // Not signed in: the reset link proves the actor is the account holder
+    await audit.record(req, {
+      action: 'user.password_reset',
+      target: { type: 'User', id: user._id, label: user.email, owner: user._id },
+      changes: audit.PASSWORD_CHANGES,
+      actor: user
+    });
+
+    await RefreshToken.revokeAllForUser(user._id);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please log in with your new password'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
     res.status(500).json({ 
       success: false,
       message: 'Server error',
@@ -2,32 +2,53 @@ const express = require('express');
 const router = express.Router();
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
-const { protect } = require('../middleware/auth');
+const Coupon = require('../models/Coupon');
+const reservations = require('../utils/reservations');
+const trending = require('../utils/trending');
+const { reconcileCart, withChanges, acceptChanges } = require('../utils/cartReconciliation');
+const { optionalAuth } = require('../middleware/auth');
+
+// Carts belong either to the signed-in user or, for anonymous visitors, to the
+// opaque guest cart token sent in the X-Cart-Token header. The token is issued
+// by the first POST /api/cart/add and merged into the user's cart on login.
+const cartOwner = [optionalAuth, (req, res, next) => {
+  const guestToken = req.get('X-Cart-Token');
+
+  if (req.user) {
+    req.cartFilter = { user: req.user._id };
+  } else if (guestToken) {
+    req.cartFilter = { guestTokenHash: Cart.hashGuestToken(guestToken) };
+  } else {
+    req.cartFilter = null;
+  }
+  next();
+}];
+
+// Query for the caller's cart (matches nothing when there is no owner yet)
+const findCart = (req) => Cart.findOne(req.cartFilter || { _id: null });
 
 // @route   GET /api/cart
-// @desc    Get user's cart
-// @access  Private
-router.get('/', protect, async (req, res) => {
+// @desc    Get user's cart, reconciled against current prices and stock.
+//          Each item carries a `changes` list; nothing is saved until the
+//          changes are accepted through POST /api/cart/accept-changes.
+// @access  Public (user or guest cart)
+router.get('/', cartOwner, async (req, res) => {
   try {
-    if (!req.user || !req.user._id) {
-      return res.status(401).json({
-        success: false,
-        message: 'User not authenticated',
-        data: null
-      });
-    }
-
-    let cart = await Cart.findOne({ user: req.user._id })
-      .populate('items.product')
-      .lean();
+    let cart = await findCart(req)
+      .populate('items.product', '-imageData -imagesData');
     
     if (!cart) {
-      cart = await Cart.create({ user: req.user._id, items: [] });
+      // Guests get an empty cart until they add something
+      cart = req.user
+        ? await Cart.create({ user: req.user._id, items: [] })
+        : new Cart({ items: [] });
     }
+
+    const results = await reconcileCart(cart);
     
     res.json({
       success: true,
-      data: cart
+      data: withChanges(cart, results)
     });
   } catch (error) {
     console.error('Get cart error:', error);
@@ -40,12 +61,74 @@ router.get('/', protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/cart/accept-changes
+// @desc    Lock current prices, discounts and stock limits into the cart
+// @access  Public (user or guest cart)
+router.post('/accept-changes', cartOwner, async (req, res) => {
+  try {
+    let cart = await findCart(req)
+      .populate('items.product', '-imageData -imagesData');
+
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found'
+      });
+    }
+
+    await acceptChanges(cart, await reconcileCart(cart));
+
+    cart = await Cart.findById(cart._id).populate('items.product', '-imageData -imagesData');
+    const results = await reconcileCart(cart);
+
+    res.json({
+      success: true,
+      message: 'Cart updated with current prices and stock',
+      data: withChanges(cart, results)
+    });
+  } catch (error) {
+    console.error('Accept cart changes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating cart',
+      error: error.message
+    });
+  }
+});
+
+// Resolve the variant a request refers to. Products with variants require a
+// valid variantId; products without variants ignore it. Sends the error
+// response and returns undefined when the variant is missing or unknown.
+const resolveVariant = (product, variantId, res) => {
+  if (product.variants.length === 0) return null;
+
+  if (!variantId) {
+    res.status(400).json({
+      success: false,
+      message: 'Please select a product variant'
+    });
+    return undefined;
+  }
+
+  const variant = product.getVariant(variantId);
+  if (!variant) {
+    res.status(404).json({
+      success: false,
+      message: 'Product variant not found'
+    });
+    return undefined;
+  }
+
+  return variant;
+};
+
 // @route   POST /api/cart/add
-// @desc    Add item to cart
-// @access  Private
-router.post('/add', protect, async (req, res) => {
+// @desc    Add item (and variant, for products with variants) to cart
+// @access  Public (user or guest cart)
+router.post('/add', cartOwner, async (req, res) => {
   try {
-    const { productId, quantity = 1 } = req.body;
+    const { productId, variantId } = req.body;
+    const quantity = req.body.quantity === undefined ? 1 : Number(req.body.quantity);
     
     if (!productId) {
       return res.status(400).json({
@@ -53,6 +136,13 @@ router.post('/add', protect, async (req, res) => {
         message: 'Product ID is required'
       });
     }
+
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a whole number from 1 to 100'
+      });
+    }
     
     // Check if product exists and has stock
     const product = await Product.findById(productId);
@@ -63,31 +153,60 @@ router.post('/add', protect, async (req, res) => {
         message: 'Product not found'
       });
     }
-    
-    if (product.stock < quantity) {
+
+    // Deactivated or trashed products cannot be bought
+    if (!product.isActive) {
       return res.status(400).json({
         success: false,
-        message: `Only ${product.stock} items available in stock`
+        message: 'This product is no longer available'
       });
     }
     
-    // Find or create cart
-    let cart = await Cart.findOne({ user: req.user._id });
+    const variant = resolveVariant(product, variantId, res);
+    if (variant === undefined) return;
+    
+    // Find or create cart. A guest without a (valid) token gets a new guest
+    // cart and its token.
+    let cart = await findCart(req);
+    let cartToken = null;
     
     if (!cart) {
-      cart = new Cart({ user: req.user._id, items: [] });
+      if (req.user) {
+        cart = new Cart({ user: req.user._id, items: [] });
+      } else {
+        ({ cart, token: cartToken } = Cart.newGuestCart());
+      }
+    }
+    
+    // Hold stock for the whole line (what is already in the cart plus the new
+    // quantity), so other shoppers cannot claim the same units
+    const existingItem = cart.findItem(productId, variant ? variant._id : null);
+    const lineQuantity = Math.min((existingItem ? existingItem.quantity : 0) + quantity, 100);
+    const holdResult = await reservations.hold(cart._id, product, variant, lineQuantity);
+    
+    if (!holdResult.ok) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${holdResult.available} items available in stock`
+      });
     }
     
     // Add item to cart
-    await cart.addItem(productId, quantity, product.price);
+    await cart.addItem(productId, quantity, product.pricingFor(variant), variant ? variant._id : null);
+    await trending.recordEvents('cart', [{ product: product._id, quantity }]);
     
     // Populate product details
     cart = await Cart.findById(cart._id).populate('items.product');
     
+    if (cartToken) {
+      res.set('X-Cart-Token', cartToken);
+    }
+    
     res.json({
       success: true,
       message: 'Item added to cart',
-      data: cart
+      data: cart,
+      ...(cartToken && { cartToken })
     });
   } catch (error) {
     console.error('Add to cart error:', error);
@@ -100,16 +219,18 @@ router.post('/add', protect, async (req, res) => {
 });
 
 // @route   PUT /api/cart/update/:productId
-// @desc    Update item quantity in cart
-// @access  Private
-router.put('/update/:productId', protect, async (req, res) => {
+// @desc    Update item quantity in cart (send variantId for variant items)
+// @access  Public (user or guest cart)
+router.put('/update/:productId', cartOwner, async (req, res) => {
   try {
-    const { quantity } = req.body;
+    const { variantId } = req.body;
+    const quantity = [undefined, null, ''].includes(req.body.quantity) ? NaN : Number(req.body.quantity);
     
-    if (quantity === undefined || quantity < 0) {
+    // 0 removes the line
+    if (!Number.isInteger(quantity) || quantity < 0 || quantity > 100) {
       return res.status(400).json({
         success: false,
-        message: 'Valid quantity is required'
+        message: 'Quantity must be a whole number from 0 to 100'
       });
     }
     
@@ -122,15 +243,19 @@ router.put('/update/:productId', protect, async (req, res) => {
         message: 'Product not found'
       });
     }
-    
-    if (quantity > product.stock) {
+
+    // Lines of unavailable products can only be removed (quantity 0)
+    if (!product.isActive && quantity > 0) {
       return res.status(400).json({
         success: false,
-        message: `Only ${product.stock} items available in stock`
+        message: 'This product is no longer available'
       });
     }
     
-    let cart = await Cart.findOne({ user: req.user._id });
+    const variant = resolveVariant(product, variantId, res);
+    if (variant === undefined) return;
+    
+    let cart = await findCart(req);
     
     if (!cart) {
       return res.status(404).json({
@@ -139,7 +264,24 @@ router.put('/update/:productId', protect, async (req, res) => {
       });
     }
     
-    await cart.updateItemQuantity(req.params.productId, quantity);
+    if (!cart.findItem(req.params.productId, variant ? variant._id : null)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item not found in cart'
+      });
+    }
+    
+    // Re-hold stock for the new quantity (a quantity of 0 releases the hold)
+    const holdResult = await reservations.hold(cart._id, product, variant, quantity);
+    
+    if (!holdResult.ok) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${holdResult.available} items available in stock`
+      });
+    }
+    
+    await cart.updateItemQuantity(req.params.productId, quantity, variant ? variant._id : null);
     
     // Populate product details
     cart = await Cart.findById(cart._id).populate('items.product');
@@ -160,11 +302,11 @@ router.put('/update/:productId', protect, async (req, res) => {
 });
 
 // @route   DELETE /api/cart/remove/:productId
-// @desc    Remove item from cart
-// @access  Private
-router.delete('/remove/:productId', protect, async (req, res) => {
+// @desc    Remove item from cart (pass ?variantId= for variant items)
+// @access  Public (user or guest cart)
+router.delete('/remove/:productId', cartOwner, async (req, res) => {
   try {
-    let cart = await Cart.findOne({ user: req.user._id });
+    let cart = await findCart(req);
     
     if (!cart) {
       return res.status(404).json({
@@ -173,7 +315,9 @@ router.delete('/remove/:productId', protect, async (req, res) => {
       });
     }
     
-    await cart.removeItem(req.params.productId);
+    const variantId = req.query.variantId || req.body.variantId || null;
+    await cart.removeItem(req.params.productId, variantId);
+    await reservations.release(cart._id, req.params.productId, variantId);
     
     // Populate product details
     cart = await Cart.findById(cart._id).populate('items.product');
@@ -195,10 +339,10 @@ router.delete('/remove/:productId', protect, async (req, res) => {
 
 // @route   DELETE /api/cart/clear
 // @desc    Clear entire cart
-// @access  Private
-router.delete('/clear', protect, async (req, res) => {
+// @access  Public (user or guest cart)
+router.delete('/clear', cartOwner, async (req, res) => {
   try {
-    let cart = await Cart.findOne({ user: req.user._id });
+    let cart = await findCart(req);
     
     if (!cart) {
       return res.status(404).json({
@@ -208,6 +352,7 @@ router.delete('/clear', protect, async (req, res) => {
     }
     
     await cart.clearCart();
+    await reservations.releaseCart(cart._id);
     
     res.json({
       success: true,
@@ -224,4 +369,96 @@ router.delete('/clear', protect, async (req, res) => {
   }
 });
 
+// @route   POST /api/cart/coupon
+// @desc    Apply a coupon code to the cart
+// @access  Public (user or guest cart)
+router.post('/coupon', cartOwner, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code is required'
+      });
+    }
+
+    const coupon = await Coupon.findOne({ code: code.trim().toUpperCase() });
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid coupon code'
+      });
+    }
+
+    let cart = await findCart(req);
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    await cart.applyCoupon(coupon);
+
+    // The pre-save hook drops coupons that do not apply and says why
+    if (!cart.coupon) {
+      return res.status(400).json({
+        success: false,
+        message: cart.couponMessage
+      });
+    }
+
+    cart = await Cart.findById(cart._id).populate('items.product');
+
+    res.json({
+      success: true,
+      message: 'Coupon applied',
+      data: cart
+    });
+  } catch (error) {
+    console.error('Apply coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error applying coupon',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/cart/coupon
+// @desc    Remove the applied coupon from the cart
+// @access  Public (user or guest cart)
+router.delete('/coupon', cartOwner, async (req, res) => {
+  try {
+    let cart = await findCart(req);
+
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cart not found'
+      });
+    }
+
+    await cart.removeCoupon();
+
+    cart = await Cart.findById(cart._id).populate('items.product');
+
+    res.json({
+      success: true,
+      message: 'Coupon removed',
+      data: cart
+    });
+  } catch (error) {
+    console.error('Remove coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing coupon',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
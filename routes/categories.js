@@ -0,0 +1,227 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { protect, optionalAuth, admin } = require('../middleware/auth');
+
+const EDITABLE_FIELDS = ['name', 'slug', 'description', 'parent', 'sortOrder', 'isActive'];
+
+const SORT = { sortOrder: 1, name: 1 };
+
+const categoryValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Category name is required'),
+    body('parent')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Parent must be a category id'),
+    body('sortOrder')
+      .optional()
+      .isInt()
+      .withMessage('Sort order must be an integer'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be true or false')
+  ];
+};
+
+// Find a category by id or slug
+const findCategory = async (value) => {
+  const { categories } = await Category.resolve([value]);
+  return categories[0] || null;
+};
+
+const saveError = (res, error) => {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A category with this slug, or with this name under the same parent, already exists'
+    });
+  }
+  return res.status(400).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// @route   GET /api/categories
+// @desc    List categories sorted by sortOrder then name (?tree=true nests
+//          them under `children`; admins may pass ?includeInactive=true)
+// @access  Public
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && req.user && req.user.role === 'admin';
+    const categories = await Category.find(includeInactive ? {} : { isActive: true })
+      .sort(SORT)
+      .lean();
+
+    res.json({
+      success: true,
+      count: categories.length,
+      data: req.query.tree === 'true' ? Category.buildTree(categories) : categories
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching categories',
+      data: [],
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/categories/:idOrSlug
+// @desc    Get a category with its breadcrumb (`ancestors`, root first) and
+//          direct `children`
+// @access  Public
+router.get('/:idOrSlug', async (req, res) => {
+  try {
+    const category = await findCategory(req.params.idOrSlug);
+
+    if (!category || !category.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const [ancestors, children] = await Promise.all([
+      Category.find({ _id: { $in: category.ancestors } }).select('name slug').lean(),
+      Category.find({ parent: category._id, isActive: true }).sort(SORT).lean()
+    ]);
+    // Keep the breadcrumb in root-to-parent order
+    const byId = new Map(ancestors.map(ancestor => [ancestor._id.toString(), ancestor]));
+
+    res.json({
+      success: true,
+      data: {
+        ...category.toObject(),
+        ancestors: category.ancestors.map(id => byId.get(id.toString())).filter(Boolean),
+        children
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching category',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Create a category (slug defaults to one made from the name)
+// @access  Private/Admin
+router.post('/', protect, admin, categoryValidation(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const category = new Category();
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) category[field] = req.body[field];
+    });
+
+    const newCategory = await category.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: newCategory
+    });
+  } catch (error) {
+    saveError(res, error);
+  }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category. Changing `parent` moves its whole subtree.
+// @access  Private/Admin
+router.put('/:id', protect, admin, categoryValidation(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) category[field] = req.body[field];
+    });
+
+    const updatedCategory = await category.save();
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: updatedCategory
+    });
+  } catch (error) {
+    saveError(res, error);
+  }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Delete a category. Refused while it has subcategories or products;
+//          move them first (or deactivate the category instead).
+// @access  Private/Admin
+router.delete('/:id', protect, admin, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const [children, products] = await Promise.all([
+      Category.countDocuments({ parent: category._id }),
+      Product.countDocuments({ category: category._id })
+    ]);
+    if (children > 0 || products > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Category still has subcategories or products. Move them first.',
+        data: { children, products }
+      });
+    }
+
+    await category.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
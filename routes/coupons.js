@@ -0,0 +1,242 @@
+const express = require('express');
+const router = express.Router();
+const { body, validationResult } = require('express-validator');
+const Coupon = require('../models/Coupon');
+const Category = require('../models/Category');
+const { protect, admin } = require('../middleware/auth');
+
+// Every coupon management route is admin only
+router.use(protect, admin);
+
+const EDITABLE_FIELDS = [
+  'code', 'description', 'type', 'value', 'maxDiscount', 'minCartValue',
+  'usageLimit', 'perUserLimit', 'applicableCategories', 'applicableProducts',
+  'startsAt', 'expiresAt', 'isActive'
+];
+
+// Coupon scoping accepts category ids, slugs or names; store the ids.
+// Responds with 400 and resolves to false for unknown categories.
+const resolveCategories = async (req, res) => {
+  if (req.body.applicableCategories === undefined) return true;
+
+  const values = [].concat(req.body.applicableCategories).map(String);
+  const { categories, missing } = await Category.resolve(values);
+  if (missing.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown category: ${missing.join(', ')}`
+    });
+    return false;
+  }
+
+  req.body.applicableCategories = categories.map(category => category._id);
+  return true;
+};
+
+const couponValidation = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('code')
+      .trim()
+      .notEmpty()
+      .withMessage('Coupon code is required'),
+    field('type')
+      .isIn(['percentage', 'fixed', 'free_shipping'])
+      .withMessage('Type must be percentage, fixed or free_shipping'),
+    body('value')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Value must be a positive number'),
+    body('minCartValue')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Minimum cart value must be a positive number'),
+    body('usageLimit')
+      .optional({ values: 'null' })
+      .isInt({ min: 1 })
+      .withMessage('Usage limit must be a positive integer'),
+    body('perUserLimit')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Per-user limit must be a positive integer'),
+    body('expiresAt')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('Expiry must be a valid date')
+  ];
+};
+
+// @route   GET /api/coupons
+// @desc    List coupons (filter with ?active=true|false)
+// @access  Private/Admin
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.active !== undefined) filter.isActive = req.query.active === 'true';
+
+    const coupons = await Coupon.find(filter)
+      .select('-redemptions')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: coupons.length,
+      data: coupons
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupons',
+      data: [],
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/coupons/:id
+// @desc    Get a coupon with its redemptions
+// @access  Private/Admin
+router.get('/:id', async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id)
+      .populate('redemptions.user', 'name email')
+      .populate('applicableCategories', 'name slug');
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: coupon
+    });
+  } catch (error) {
+    console.error('Get coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching coupon',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/coupons
+// @desc    Create a coupon
+// @access  Private/Admin
+router.post('/', couponValidation(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const exists = await Coupon.findOne({ code: req.body.code.toUpperCase() });
+    if (exists) {
+      return res.status(400).json({
+        success: false,
+        message: 'A coupon with this code already exists'
+      });
+    }
+
+    if (!await resolveCategories(req, res)) return;
+
+    const coupon = new Coupon({ createdBy: req.user._id });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    });
+
+    const newCoupon = await coupon.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: newCoupon
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/coupons/:id
+// @desc    Update a coupon
+// @access  Private/Admin
+router.put('/:id', couponValidation(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    if (!await resolveCategories(req, res)) return;
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) coupon[field] = req.body[field];
+    });
+
+    const updatedCoupon = await coupon.save();
+
+    res.json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: updatedCoupon
+    });
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/coupons/:id
+// @desc    Delete a coupon
+// @access  Private/Admin
+router.delete('/:id', async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const multer = require('multer');
+const Media = require('../models/Media');
+const Product = require('../models/Product');
+const multerConfig = require('../config/multer');
+const { protect } = require('../middleware/auth');
+const { limit } = require('../middleware/rateLimit');
+const { sanitizeUploads } = require('../middleware/imageUpload');
+const pagination = require('../utils/pagination');
+const images = require('../utils/images');
+const { quotaFor, createMedia } = require('../utils/media');
+
+// Largest number of files in one upload request
+const MAX_FILES_PER_UPLOAD = 10;
+
+const canManage = (req, media) =>
+  media.owner.toString() === req.user._id.toString() || req.user.role === 'admin';
+
+// @route   POST /api/media
+// @desc    Upload images to the media library (multipart field 'files', max 10)
+// @access  Private
+router.post('/', protect, limit.upload, multerConfig.memory.array('files', MAX_FILES_PER_UPLOAD), sanitizeUploads, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded'
+      });
+    }
+
+    const media = await createMedia(req.files, req.user._id);
+
+    res.status(201).json({
+      success: true,
+      message: `${media.length} file(s) uploaded successfully`,
+      data: media
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : 'Error uploading files',
+      data: error.quota,
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/media
+// @desc    List the caller's media (admins may pass ?owner=<userId>)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    let owner = req.user._id;
+    if (req.query.owner && req.user.role === 'admin') {
+      if (!mongoose.Types.ObjectId.isValid(req.query.owner)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid owner id',
+          data: []
+        });
+      }
+      owner = req.query.owner;
+    }
+
+    const limit = pagination.parseLimit(req.query.limit);
+    const page = pagination.parsePage(req.query.page);
+
+    const [media, total] = await Promise.all([
+      Media.find({ owner })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Media.countDocuments({ owner })
+    ]);
+
+    res.json({
+      success: true,
+      count: media.length,
+      total,
+      page,
+      limit,
+      data: media
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching media',
+      data: [],
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/media/quota
+// @desc    Storage used by the caller's media library, in bytes
+// @access  Private
+router.get('/quota', protect, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await quotaFor(req.user._id)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching quota',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/media/:id/file
+// @desc    Serve a media file (?size=thumbnail|card|full|original, default full)
+// @access  Public
+router.get('/:id/file', async (req, res) => {
+  try {
+    const size = images.parseSize(req.query.size);
+    if (!size) {
+      return res.status(400).json({
+        success: false,
+        message: `size must be one of ${[...Object.keys(images.IMAGE_SIZES), 'original'].join(', ')}`
+      });
+    }
+
+    const media = await Media.findById(req.params.id);
+    if (!media) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    // Media ids are never reused, so clients may cache the file for good
+    return images.sendImage(req, res, media, size, { immutable: true });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/media/:id
+// @desc    Get a media item and the products using it
+// @access  Private (owner or admin)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+
+    if (!media || !canManage(req, media)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    const usedBy = await Product.find({ 'imagesData.media': media._id }).select('name');
+
+    res.json({
+      success: true,
+      data: { ...media.toJSON(), usedBy }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching media',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/media/:id
+// @desc    Delete a media item. Refused while a product still uses it.
+// @access  Private (owner or admin)
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const media = await Media.findById(req.params.id);
+
+    if (!media || !canManage(req, media)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Media not found'
+      });
+    }
+
+    const usedBy = await Product.find({ 'imagesData.media': media._id }).select('name');
+    if (usedBy.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Media is attached to products. Remove it from their galleries first.',
+        data: { usedBy }
+      });
+    }
+
+    await media.deleteOne();
+    await images.removeImage(media);
+
+    res.json({
+      success: true,
+      message: 'Media deleted successfully'
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting media',
+      error: error.message
+    });
+  }
+});
+
+// Error handling middleware for multer
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    const messages = {
+      LIMIT_FILE_SIZE: 'File size is too large. Maximum size is 5MB',
+      LIMIT_FILE_COUNT: `Too many files. Maximum is ${MAX_FILES_PER_UPLOAD} files`,
+      LIMIT_UNEXPECTED_FILE: 'Unexpected field name in form data'
+    };
+    if (messages[error.code]) {
+      return res.status(400).json({
+        success: false,
+        message: messages[error.code]
+      });
+    }
+  }
+
+  res.status(500).json({
+    success: false,
+    message: error.message || 'Error uploading file'
+  });
+});
+
+module.exports = router;
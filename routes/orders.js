@@ -0,0 +1,298 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+const reservations = require('../utils/reservations');
+const trending = require('../utils/trending');
+const { reconcileCart } = require('../utils/cartReconciliation');
+const { protect, admin, requireVerifiedEmail } = require('../middleware/auth');
+
+// Atomically take stock for a cart line. The conditional update only succeeds
+// if enough stock is left, so two concurrent checkouts can never both take the
+// last unit. Resolves to the updated product (category populated for the
+// order snapshot), or null when out of stock.
+const takeStock = (productId, variantId, quantity) => {
+  if (variantId) {
+    return Product.findOneAndUpdate(
+      { _id: productId, isActive: true, variants: { $elemMatch: { _id: variantId, stock: { $gte: quantity } } } },
+      { $inc: { 'variants.$.stock': -quantity, stock: -quantity } },
+      { new: true }
+    ).populate('category', 'name ancestors');
+  }
+
+  // Products with variants only sell through a variant: their stock is the
+  // sum of the variant stocks, so a plain decrement would be undone on save
+  return Product.findOneAndUpdate(
+    { _id: productId, isActive: true, variants: { $size: 0 }, stock: { $gte: quantity } },
+    { $inc: { stock: -quantity } },
+    { new: true }
+  ).populate('category', 'name ancestors');
+};
+
+// Put back stock taken by a checkout that could not be completed
+const restoreStock = async (reserved) => {
+  await Promise.all(reserved.map(({ product, variant, quantity }) => variant
+    ? Product.updateOne({ _id: product, 'variants._id': variant }, { $inc: { 'variants.$.stock': quantity, stock: quantity } })
+    : Product.updateOne({ _id: product }, { $inc: { stock: quantity } })
+  ));
+};
+
+// Undo a coupon redemption recorded for an order that was never created
+const releaseCoupon = async (couponId, orderId) => {
+  await Coupon.updateOne(
+    { _id: couponId },
+    { $inc: { usedCount: -1 }, $pull: { redemptions: { order: orderId } } }
+  );
+};
+
+// @route   POST /api/orders/checkout
+// @desc    Turn the user's cart into an order
+// @access  Private
+router.post('/checkout', protect, requireVerifiedEmail('checkout'), async (req, res) => {
+  // Items whose stock has already been decremented, so we can roll back on failure
+  const reserved = [];
+  const orderId = new mongoose.Types.ObjectId();
+  let redeemedCoupon = null;
+  // Set once the order exists, so a later failure can remove it again
+  let order = null;
+
+  try {
+    const cart = await Cart.findOne({ user: req.user._id }).populate('items.product');
+
+    if (!cart || cart.items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your cart is empty'
+      });
+    }
+
+    // Make sure every product in the cart can still be bought, and that the
+    // buyer has seen (and accepted) any price change since adding it
+    const results = await reconcileCart(cart);
+    if (results.some(r => r.changes.some(c => c.type === 'unavailable'))) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more products in your cart are no longer available'
+      });
+    }
+    if (results.some(r => r.changes.some(c => c.type.startsWith('price_')))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Prices in your cart have changed. Please review and accept the changes before checking out'
+      });
+    }
+
+    const items = [];
+    // Category ids (with ancestors) per item, for category-scoped coupons
+    const itemCategories = [];
+
+    for (const item of cart.items) {
+      // Units held by other carts are not ours to sell, even if our own hold expired
+      const available = await reservations.availableStock(item.product, item.product.getVariant(item.variant), cart._id);
+      const product = available >= item.quantity
+        ? await takeStock(item.product._id, item.variant, item.quantity)
+        : null;
+
+      if (!product) {
+        await restoreStock(reserved);
+        return res.status(409).json({
+          success: false,
+          message: `Not enough stock for ${item.product.name}`
+        });
+      }
+
+      reserved.push({ product: product._id, variant: item.variant, quantity: item.quantity });
+      items.push(Order.buildItem(product, item.quantity, product.getVariant(item.variant)));
+      itemCategories.push(product.category ? product.category.lineage() : []);
+    }
+
+    // Re-check the applied coupon against the final prices and redeem it
+    let couponDiscount = 0;
+    let freeShipping = false;
+
+    if (cart.coupon) {
+      const coupon = await Coupon.findById(cart.coupon);
+      const lines = items.map((item, index) => ({ product: item.product, categories: itemCategories[index], amount: item.lineTotal }));
+      const result = coupon
+        ? coupon.evaluate({ lines, userId: req.user._id })
+        : { valid: false, message: 'This coupon no longer exists' };
+
+      if (!result.valid) {
+        await restoreStock(reserved);
+        return res.status(400).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      if (!await Coupon.redeem(coupon._id, req.user._id, orderId)) {
+        await restoreStock(reserved);
+        return res.status(409).json({
+          success: false,
+          message: 'This coupon has reached its usage limit'
+        });
+      }
+
+      redeemedCoupon = coupon;
+      couponDiscount = result.discount;
+      freeShipping = result.freeShipping;
+    }
+
+    order = await Order.create({
+      _id: orderId,
+      user: req.user._id,
+      items,
+      couponCode: redeemedCoupon ? redeemedCoupon.code : null,
+      couponDiscount,
+      shippingFee: Cart.shippingFee(items.length, freeShipping),
+      shippingAddress: req.body.shippingAddress || req.user.address
+    });
+
+    // If the cart cannot be emptied the order is undone below, so the same
+    // cart can never be bought twice
+    await cart.clearCart();
+    // Stock has been taken for real, so the holds are no longer needed. The
+    // order stands from here on; holds left behind expire on their own.
+    await reservations.releaseCart(cart._id).catch(err => console.error('Hold release error:', err));
+    await trending.recordEvents('purchase', items);
+
+    res.status(201).json({
+      success: true,
+      message: 'Order placed successfully',
+      data: order
+    });
+  } catch (error) {
+    console.error('Checkout error:', error);
+    // An order that cannot be removed keeps its stock and coupon
+    const rolledBack = !order || await Order.deleteOne({ _id: order._id }).then(
+      () => true,
+      err => { console.error('Order rollback error:', err); return false; }
+    );
+    if (rolledBack) {
+      await restoreStock(reserved).catch(err => console.error('Stock restore error:', err));
+      if (redeemedCoupon) {
+        await releaseCoupon(redeemedCoupon._id, orderId).catch(err => console.error('Coupon release error:', err));
+      }
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error placing order',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/orders
+// @desc    Get the current user's orders
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const orders = await Order.find({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: orders.length,
+      data: orders
+    });
+  } catch (error) {
+    console.error('Get orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching orders',
+      data: [],
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/orders/admin/all
+// @desc    Get all orders, optionally filtered by status or user
+// @access  Private/Admin
+// Note: this route must be declared before the ':id' route below
+router.get('/admin/all', protect, admin, async (req, res) => {
+  try {
+    const { status, user } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (user) {
+      if (!mongoose.Types.ObjectId.isValid(user)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid user id',
+          data: []
+        });
+      }
+      filter.user = user;
+    }
+
+    const orders = await Order.find(filter)
+      .populate('user', 'name email')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      count: orders.length,
+      data: orders
+    });
+  } catch (error) {
+    console.error('Admin get orders error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching orders',
+      data: [],
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/orders/:id
+// @desc    Get a single order
+// @access  Private (owner or admin)
+router.get('/:id', protect, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const order = await Order.findById(req.params.id).populate('user', 'name email');
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const ownerId = order.user ? order.user._id.toString() : null;
+    if (ownerId !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to view this order'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order
+    });
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching order',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
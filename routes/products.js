@@ -1,20 +1,118 @@
 const express = require('express');
 const router = express.Router();
-const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
 const Product = require('../models/Product');
-const { protect, admin } = require('../middleware/auth');
+const { protect, admin, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
+const { limit } = require('../middleware/rateLimit');
 const multerConfig = require('../config/multer');
+const { sanitizeUploads } = require('../middleware/imageUpload');
+const pagination = require('../utils/pagination');
+const reservations = require('../utils/reservations');
+const gallery = require('../utils/gallery');
+const facets = require('../utils/facets');
+const searchHelpers = require('../utils/search');
+const trending = require('../utils/trending');
+const images = require('../utils/images');
+const { toGalleryImage } = require('../utils/media');
+const catalog = require('../utils/catalog');
+const productTrash = require('../utils/productTrash');
+const audit = require('../utils/audit');
+const reviewRoutes = require('./reviews');
+const Media = require('../models/Media');
+const Category = require('../models/Category');
+
+// Category fields populated into product responses
+const CATEGORY_FIELDS = 'name slug';
+
+// Fields the audit log records when a product is trashed or restored
+const TRASH_FIELDS = ['isActive', 'deletedAt'];
+
+// Fields clients may request through `fields=`. Stored image metadata is never
+// selectable from list responses; `gallery` exposes the image URLs.
+const SELECTABLE_FIELDS = [
+  'sku', 'name', 'description', 'price', 'category', 'image', 'gallery', 'stock',
+  'variants', 'rating', 'reviewCount', 'discount', 'tags', 'views', 'owner', 'isPublic', 'isActive',
+  'createdAt', 'updatedAt'
+];
+
+// Variants arrive as a JSON string in multipart requests and as an array in
+// JSON requests. Returns undefined when no variants were sent; throws when the
+// value is not an array.
+const parseVariants = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const variants = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(variants)) {
+    throw new Error('Variants must be an array');
+  }
+  return variants;
+};
+
+// Active category for an id, slug or name sent by a client, or null
+const findCategory = async (value) => {
+  const { categories } = await Category.resolve([String(value).trim()]);
+  return categories.find(category => category.isActive) || null;
+};
+
+// Sort object for the `sort` query parameter (default: newest first).
+// Tie-breaks on _id so the order is stable across pages. `relevance` sorts by
+// text score and only applies to text searches.
+const buildSort = (sort, hasSearch) => {
+  if (sort === 'relevance' && hasSearch) {
+    return { score: { $meta: 'textScore' }, _id: -1 };
+  }
+
+  let sortOption = { createdAt: -1 };
+  if (sort === 'price-asc') sortOption = { price: 1 };
+  if (sort === 'price-desc') sortOption = { price: -1 };
+  if (sort === 'name') sortOption = { name: 1 };
+  if (sort === 'rating') sortOption = { rating: -1, reviewCount: -1 };
+  return pagination.withTieBreaker(sortOption);
+};
 
 // GET all public products (for browsing)
-router.get('/', async (req, res) => {
+// Supports cursor pagination (`cursor`, `limit`) or page pagination (`page`,
+// `limit`), and a comma separated `fields=` projection.
+router.get('/', [
+  query('minRating')
+    .optional()
+    .isFloat({ min: 0, max: 5 })
+    .withMessage('minRating must be a number from 0 to 5')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
   try {
-    const { category, search, minPrice, maxPrice, sort } = req.query;
+    const { category, search, minPrice, maxPrice, minRating, sort, cursor, page, fields } = req.query;
     
     // Build filter
-    let filter = { isPublic: true };
+    let filter = { isPublic: true, isActive: true };
     
-    if (category) {
-      filter.category = category;
+    // Multi-select: comma separated or repeated. Ids, slugs or names; each
+    // category includes its subcategories.
+    const categories = facets.parseList(category);
+    if (categories.length > 0) {
+      let expanded;
+      try {
+        expanded = await Category.expand(categories);
+      } catch (error) {
+        return res.status(error.statusCode || 500).json({
+          success: false,
+          message: error.message,
+          data: []
+        });
+      }
+      filter.category = { $in: expanded.ids };
+    }
+
+    const tags = facets.parseList(req.query.tags).map(tag => tag.toLowerCase());
+    if (tags.length > 0) {
+      filter.tags = { $in: tags };
     }
     
     if (search) {
@@ -26,22 +124,102 @@ router.get('/', async (req, res) => {
       if (minPrice) filter.price.$gte = Number(minPrice);
       if (maxPrice) filter.price.$lte = Number(maxPrice);
     }
+
+    if (minRating) {
+      filter.rating = { $gte: Number(minRating) };
+    }
     
-    // Build sort
-    let sortOption = { createdAt: -1 }; // Default: newest first
-    if (sort === 'price-asc') sortOption = { price: 1 };
-    if (sort === 'price-desc') sortOption = { price: -1 };
-    if (sort === 'name') sortOption = { name: 1 };
-    
+    const sortOption = buildSort(sort, Boolean(search));
+    const byRelevance = Boolean(sortOption.score);
+
+    // Build projection. Sort keys are always selected so the next cursor can be
+    // built, and removed again below if the client did not ask for them.
+    let requestedFields = null;
+    let projection = null;
+    if (fields) {
+      requestedFields = fields.split(',').map(f => f.trim()).filter(f => SELECTABLE_FIELDS.includes(f));
+      if (requestedFields.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: `fields must be a comma separated list of: ${SELECTABLE_FIELDS.join(', ')}`,
+          data: []
+        });
+      }
+      const selected = requestedFields.flatMap(f => (f === 'gallery' ? gallery.GALLERY_FIELDS : [f]));
+      const sortKeys = Object.keys(sortOption).filter(key => key !== 'score');
+      projection = [...new Set([...selected, ...sortKeys])].join(' ');
+    }
+
+    const pageSize = pagination.parseLimit(req.query.limit);
+    const total = await Product.countDocuments(filter);
+
+    let query;
+    if (cursor && byRelevance) {
+      return res.status(400).json({
+        success: false,
+        message: 'sort=relevance supports page pagination only',
+        data: []
+      });
+    } else if (cursor) {
+      let cursorValues;
+      try {
+        cursorValues = pagination.decodeCursor(cursor, sortOption);
+      } catch (err) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor',
+          data: []
+        });
+      }
+      query = Product.find({ $and: [filter, pagination.cursorFilter(cursorValues, sortOption)] });
+    } else {
+      query = Product.find(filter).skip((pagination.parsePage(page) - 1) * pageSize);
+    }
+
     // Exclude binary image data from list responses to keep payload small.
-    const products = await Product.find(filter).select('-imageData -imagesData')
-      .populate('owner', 'name email')
-      .sort(sortOption)
-      .lean();
+    // Fetch one extra document to know whether another page exists.
+    query = query.select(projection).sort(sortOption).limit(pageSize + 1).lean();
+    if (byRelevance) {
+      query = query.select({ score: { $meta: 'textScore' } });
+    }
+    if (!requestedFields || requestedFields.includes('owner')) {
+      query = query.populate('owner', 'name email');
+    }
+    if (!requestedFields || requestedFields.includes('category')) {
+      query = query.populate('category', CATEGORY_FIELDS);
+    }
+    const products = await query;
+
+    const hasMore = products.length > pageSize;
+    if (hasMore) products.pop();
+
+    const nextCursor = hasMore && !byRelevance
+      ? pagination.encodeCursor(products[products.length - 1], sortOption)
+      : null;
+
+    // Report stock minus active cart holds, and gallery URLs
+    const held = await reservations.heldByProduct(products.map(p => p._id));
+    products.forEach(product => gallery.withGallery(reservations.withAvailability(product, held)));
+
+    if (requestedFields) {
+      products.forEach(product => {
+        Object.keys(sortOption).forEach(key => {
+          if (key !== '_id' && key !== 'score' && !requestedFields.includes(key)) delete product[key];
+        });
+      });
+    }
+
+    if (search) {
+      products.forEach(product => searchHelpers.withHighlights(product, search));
+    }
       
     res.json({
       success: true,
       count: products.length,
+      total,
+      limit: pageSize,
+      hasMore,
+      nextCursor,
       data: products || []
     });
   } catch (error) {
@@ -54,6 +232,261 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET faceted search over public products
+// Filters: search, category and tags (multi-select: comma separated or
+// repeated), stock (in_stock, low_stock, out_of_stock; multi-select),
+// minPrice, maxPrice, minRating. Also `sort`, `page` and `limit`.
+// Returns the matching products plus counts for each facet value; each facet
+// is counted with all filters applied except its own.
+router.get('/search', async (req, res) => {
+  try {
+    let filters;
+    let selectedCategories = [];
+    try {
+      filters = facets.parseFilters(req.query);
+      if (filters.category.length > 0) {
+        const expanded = await Category.expand(filters.category);
+        selectedCategories = expanded.selected;
+        filters.categoryIds = expanded.ids;
+      }
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message,
+        data: []
+      });
+    }
+
+    const pageSize = pagination.parseLimit(req.query.limit);
+    const page = pagination.parsePage(req.query.page);
+
+    const [raw] = await Product.aggregate(facets.buildPipeline(filters, {
+      baseFilter: { isPublic: true, isActive: true },
+      sort: buildSort(req.query.sort, Boolean(filters.search)),
+      skip: (page - 1) * pageSize,
+      limit: pageSize,
+      project: { 'imageData.sizes': 0, 'imagesData.sizes': 0 }
+    }));
+
+    const products = await Product.populate(raw.results, [
+      { path: 'owner', select: 'name email' },
+      { path: 'category', select: CATEGORY_FIELDS }
+    ]);
+    // Few enough to load all of them for the category facet's names and roll-up
+    const categories = await Category.find().select('name slug parent ancestors').lean();
+    const held = await reservations.heldByProduct(products.map(p => p._id));
+    products.forEach(product => gallery.withGallery(reservations.withAvailability(product, held)));
+    if (filters.search) {
+      products.forEach(product => searchHelpers.withHighlights(product, filters.search));
+    }
+
+    res.json({
+      success: true,
+      count: products.length,
+      total: raw.total.length > 0 ? raw.total[0].count : 0,
+      page,
+      limit: pageSize,
+      facets: facets.formatFacets(raw, filters, { categories, selectedCategories }),
+      data: products
+    });
+  } catch (error) {
+    console.error('Error searching products:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      data: []
+    });
+  }
+});
+
+// Most suggestions returned per type by /suggest
+const MAX_SUGGESTIONS = 20;
+
+// GET autocomplete suggestions: ?q=<partial query>&limit=<n, default 8>
+// Products whose name has words starting with every query word, tags
+// starting with the last word, and "did you mean" corrections for misspelt
+// words. Products matching the corrected query fill up the list.
+router.get('/suggest', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim().slice(0, 100);
+    const tokens = searchHelpers.tokenize(q);
+
+    if (tokens.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'q is required',
+        data: null
+      });
+    }
+
+    const pageSize = Math.min(pagination.parseLimit(req.query.limit, 8), MAX_SUGGESTIONS);
+    const { tokens: corrected, corrections } = await searchHelpers.correctQuery(tokens);
+
+    const findByName = (words, excludeIds = []) => Product.find({
+      isPublic: true,
+      isActive: true,
+      _id: { $nin: excludeIds },
+      ...searchHelpers.namePrefixFilter(words)
+    })
+      .select('name category price rating imageData imagesData primaryImage')
+      .populate('category', CATEGORY_FIELDS)
+      .sort({ rating: -1, reviewCount: -1, _id: -1 })
+      .limit(pageSize)
+      .lean();
+
+    let products = await findByName(tokens);
+    if (products.length < pageSize && corrections.length > 0) {
+      const more = await findByName(corrected, products.map(p => p._id));
+      products = products.concat(more.slice(0, pageSize - products.length));
+    }
+
+    let tags = await searchHelpers.tagSuggestions(tokens[tokens.length - 1], pageSize);
+    if (tags.length === 0 && corrections.length > 0) {
+      tags = await searchHelpers.tagSuggestions(corrected[corrected.length - 1], pageSize);
+    }
+
+    const highlightTerms = [...new Set([...tokens, ...corrected])];
+
+    res.json({
+      success: true,
+      data: {
+        query: q,
+        didYouMean: corrections.length > 0 ? corrected.join(' ') : null,
+        corrections,
+        products: products.map(product => {
+          const { imageUrl, primaryImageUrl } = gallery.withGallery(product);
+          return {
+            _id: product._id,
+            name: product.name,
+            highlightedName: searchHelpers.highlight(product.name, highlightTerms),
+            category: product.category,
+            price: product.price,
+            rating: product.rating,
+            imageUrl: imageUrl || primaryImageUrl || null
+          };
+        }),
+        tags
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching suggestions:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      data: null
+    });
+  }
+});
+
+// Longest trending period clients may ask for
+const MAX_TRENDING_DAYS = 30;
+
+// GET trending products: ?category=&limit=<default 10>&days=<default 7, max 30>
+// Ranked by recent views, add-to-cart events and purchases with time decay.
+// A category includes its subcategories.
+router.get('/trending', async (req, res) => {
+  try {
+    const pageSize = pagination.parseLimit(req.query.limit, 10);
+    const days = Math.min(Number(req.query.days) || trending.TRENDING_WINDOW_DAYS, MAX_TRENDING_DAYS);
+
+    if (days <= 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'days must be a positive number',
+        data: []
+      });
+    }
+
+    let categoryIds;
+    if (req.query.category) {
+      try {
+        ({ ids: categoryIds } = await Category.expand([String(req.query.category)]));
+      } catch (error) {
+        return res.status(error.statusCode || 500).json({
+          success: false,
+          message: error.message,
+          data: []
+        });
+      }
+    }
+
+    const products = await trending.trendingProducts({ categoryIds, limit: pageSize, days });
+    const held = await reservations.heldByProduct(products.map(p => p._id));
+    products.forEach(product => gallery.withGallery(reservations.withAvailability(product, held)));
+
+    res.json({
+      success: true,
+      count: products.length,
+      days,
+      data: products
+    });
+  } catch (error) {
+    console.error('Error fetching trending products:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      data: []
+    });
+  }
+});
+
+// GET products in the trash (Protected), most recently deleted first.
+// Owners see their own; admins see every seller's, or one seller's with
+// ?owner=<userId>. Paginated with page and limit. Each product carries the
+// date it will be purged (purgeAt).
+router.get('/trash', protect, async (req, res) => {
+  try {
+    const filter = { deletedAt: { $type: 'date' } };
+    if (req.user.role !== 'admin') {
+      filter.owner = req.user._id;
+    } else if (req.query.owner) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.owner)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid owner id',
+          data: []
+        });
+      }
+      filter.owner = req.query.owner;
+    }
+
+    const pageSize = pagination.parseLimit(req.query.limit);
+    const page = pagination.parsePage(req.query.page);
+
+    const [products, total] = await Promise.all([
+      Product.find(filter)
+        .populate('category', CATEGORY_FIELDS)
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip((page - 1) * pageSize)
+        .limit(pageSize)
+        .lean(),
+      Product.countDocuments(filter)
+    ]);
+
+    products.forEach(product => {
+      gallery.withGallery(product);
+      product.purgeAt = productTrash.purgeAt(product);
+    });
+
+    res.json({
+      success: true,
+      count: products.length,
+      total,
+      page,
+      limit: pageSize,
+      retentionDays: productTrash.TRASH_RETENTION_DAYS,
+      data: products
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message,
+      data: []
+    });
+  }
+});
+
 // GET user's own products (Protected)
 router.get('/my/products', protect, async (req, res) => {
   try {
@@ -65,10 +498,14 @@ router.get('/my/products', protect, async (req, res) => {
       });
     }
 
-    // Exclude binary image data from list responses
-    const products = await Product.find({ owner: req.user._id }).select('-imageData -imagesData')
+    // Trashed products are listed by GET /trash
+    const products = await Product.find({ owner: req.user._id, deletedAt: null })
+      .populate('category', CATEGORY_FIELDS)
       .sort({ createdAt: -1 })
       .lean();
+
+    const held = await reservations.heldByProduct(products.map(p => p._id));
+    products.forEach(product => gallery.withGallery(reservations.withAvailability(product, held)));
       
     res.json({
       success: true,
@@ -85,39 +522,436 @@ router.get('/my/products', protect, async (req, res) => {
   }
 });
 
-// Serve product main image binary
+// Import file upload: multer errors (wrong type, too large) are client errors
+const importUpload = (req, res, next) => {
+  multerConfig.imports.single('file')(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.code === 'LIMIT_FILE_SIZE' ? 'File size is too large. Maximum size is 5MB' : error.message
+      });
+    }
+    next();
+  });
+};
+
+// POST bulk import (Protected): multipart field 'file' with a CSV or JSON file.
+// Creates products, or updates the caller's product with the same SKU.
+// ?dryRun=true validates every row and reports what would happen without
+// saving anything.
+router.post('/import', protect, limit.upload, limit.productWrite, requireVerifiedEmail('products'), importUpload, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    let rows;
+    try {
+      rows = catalog.parseImportFile(req.file);
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const result = await catalog.importProducts(rows, { owner: req.user._id, dryRun, req });
+
+    if (!dryRun && result.created + result.updated > 0) {
+      searchHelpers.resetVocabulary();
+    }
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${result.created} to create, ${result.updated} to update, ${result.failed} with errors`
+        : `${result.created} created, ${result.updated} updated, ${result.failed} failed`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error importing products:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing products',
+      error: error.message
+    });
+  }
+});
+
+// GET catalog export (Protected): ?format=csv|json (default csv). Streams the
+// caller's products; admins get the whole catalog, or one seller's with
+// ?owner=<userId>. The columns match the import format.
+router.get('/export', protect, async (req, res) => {
+  const format = req.query.format || 'csv';
+  if (!['csv', 'json'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'format must be csv or json'
+    });
+  }
+
+  const filter = { deletedAt: null };
+  if (req.user.role !== 'admin') {
+    filter.owner = req.user._id;
+  } else if (req.query.owner) {
+    if (!mongoose.Types.ObjectId.isValid(req.query.owner)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid owner id'
+      });
+    }
+    filter.owner = req.query.owner;
+  }
+
+  const filename = `products-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+
+  const stream = catalog.exportStream(filter, format);
+  // Stop reading from the database when the client goes away
+  res.on('close', () => stream.destroy());
+  stream.on('error', (error) => {
+    console.error('Error exporting products:', error);
+    if (res.headersSent) {
+      // Cut the download short so the client sees it failed
+      res.destroy(error);
+    } else {
+      res.removeHeader('Content-Type');
+      res.removeHeader('Content-Disposition');
+      res.status(500).json({
+        success: false,
+        message: 'Error exporting products',
+        error: error.message
+      });
+    }
+  });
+  stream.pipe(res);
+});
+
+// Product reviews: /api/products/:id/reviews
+router.use('/:id/reviews', reviewRoutes);
+
+const invalidSizeMessage = `size must be one of ${[...Object.keys(images.IMAGE_SIZES), 'original'].join(', ')}`;
+
+// Serve product main image. Falls back to the primary gallery image for
+// products that only have a gallery. Supports Range requests.
+// Query: size=thumbnail|card|full|original (default full)
 // Note: this route must be declared before the ':id' route below
 router.get('/:id/image', async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id).select('imageData');
-    if (!product || !product.imageData || !product.imageData.data) {
+    const size = images.parseSize(req.query.size);
+    if (!size) {
+      return res.status(400).json({ success: false, message: invalidSizeMessage });
+    }
+
+    const product = await Product.findById(req.params.id).select('imageData imagesData primaryImage updatedAt deletedAt');
+    // Trashed products serve no images, like GET /:id
+    const image = product && !product.isInTrash() && (product.imageData && product.imageData.key
+      ? product.imageData
+      : gallery.primaryImageOf(product));
+
+    if (!image || !image.key) {
       return res.status(404).json({ success: false, message: 'Image not found' });
     }
 
-    res.set('Content-Type', product.imageData.contentType || 'application/octet-stream');
-    return res.send(product.imageData.data);
+    return images.sendImage(req, res, image, size, { lastModified: product.updatedAt });
   } catch (error) {
     return res.status(500).json({ success: false, message: error.message });
   }
 });
 
+// Load a product for a gallery change and check the caller may edit it.
+// Sends the error response and returns null when not allowed.
+const findEditableProduct = async (req, res) => {
+  const product = await Product.findById(req.params.id).select('name owner imagesData primaryImage deletedAt');
+
+  if (!product || product.isInTrash()) {
+    res.status(404).json({ success: false, message: 'Product not found' });
+    return null;
+  }
+
+  if (product.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403).json({ success: false, message: 'You are not authorized to update this product' });
+    return null;
+  }
+
+  return product;
+};
+
+// Gallery metadata for responses
+const galleryResponse = (product) => {
+  const { gallery: images, primaryImageUrl } = gallery.withGallery({
+    _id: product._id,
+    imagesData: product.imagesData,
+    primaryImage: product.primaryImage,
+    images: []
+  });
+  return { images, primaryImageUrl };
+};
+
+// GET product gallery metadata
+router.get('/:id/images', async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('imagesData primaryImage deletedAt');
+
+    if (!product || product.isInTrash()) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    res.json({
+      success: true,
+      data: galleryResponse(product)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// POST add images to the product gallery (Protected - Owner or Admin only)
+// Accepts multipart/form-data with up to 10 files in the field 'images'.
+router.post('/:id/images', protect, limit.upload, limit.productWrite, multerConfig.memory.array('images', gallery.MAX_GALLERY_IMAGES), sanitizeUploads, async (req, res) => {
+  const stored = [];
+
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ success: false, message: 'No files uploaded' });
+    }
+
+    const product = await findEditableProduct(req, res);
+    if (!product) return;
+    const before = audit.gallerySnapshot(product);
+
+    if (product.imagesData.length + req.files.length > gallery.MAX_GALLERY_IMAGES) {
+      return res.status(400).json({
+        success: false,
+        message: `A product can have at most ${gallery.MAX_GALLERY_IMAGES} gallery images`
+      });
+    }
+
+    for (const file of req.files) {
+      stored.push(await images.storeImage(file));
+    }
+    stored.forEach(image => product.imagesData.push(image));
+
+    if (!product.primaryImage) {
+      product.primaryImage = product.imagesData[0]._id;
+    }
+
+    await product.save({ validateModifiedOnly: true });
+    await audit.recordProductUpdate(req, product, before, audit.gallerySnapshot(product));
+
+    res.status(201).json({
+      success: true,
+      message: `${req.files.length} image(s) added`,
+      data: galleryResponse(product)
+    });
+  } catch (error) {
+    await Promise.all(stored.map(images.removeImage));
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// POST attach media library items to the product gallery (Protected - Owner or Admin only)
+// Body: { mediaIds: [mediaId, ...] }. The media must belong to the product owner.
+router.post('/:id/media', protect, limit.productWrite, async (req, res) => {
+  try {
+    const product = await findEditableProduct(req, res);
+    if (!product) return;
+    const before = audit.gallerySnapshot(product);
+
+    const mediaIds = Array.isArray(req.body.mediaIds) ? [...new Set(req.body.mediaIds.map(String))] : [];
+    if (mediaIds.length === 0 || !mediaIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ success: false, message: 'mediaIds must be a non-empty array of media ids' });
+    }
+
+    const media = await Media.find({ _id: { $in: mediaIds }, owner: product.owner });
+    if (media.length !== mediaIds.length) {
+      return res.status(404).json({ success: false, message: 'Media not found in the product owner\'s library' });
+    }
+
+    const attached = new Set(product.imagesData.filter(img => img.media).map(img => img.media.toString()));
+    const added = mediaIds.filter(id => !attached.has(id));
+
+    if (product.imagesData.length + added.length > gallery.MAX_GALLERY_IMAGES) {
+      return res.status(400).json({
+        success: false,
+        message: `A product can have at most ${gallery.MAX_GALLERY_IMAGES} gallery images`
+      });
+    }
+
+    // Keep the order the ids were given in
+    added.forEach(id => {
+      product.imagesData.push(toGalleryImage(media.find(item => item._id.toString() === id)));
+    });
+
+    if (!product.primaryImage && product.imagesData.length > 0) {
+      product.primaryImage = product.imagesData[0]._id;
+    }
+
+    await product.save({ validateModifiedOnly: true });
+    await audit.recordProductUpdate(req, product, before, audit.gallerySnapshot(product));
+
+    res.status(201).json({
+      success: true,
+      message: `${added.length} media item(s) attached`,
+      data: galleryResponse(product)
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// PUT reorder the gallery (Protected - Owner or Admin only)
+// Body: { order: [imageId, ...] } listing every gallery image exactly once
+router.put('/:id/images/order', protect, limit.productWrite, async (req, res) => {
+  try {
+    const product = await findEditableProduct(req, res);
+    if (!product) return;
+    const before = audit.gallerySnapshot(product);
+
+    const order = Array.isArray(req.body.order) ? req.body.order.map(String) : [];
+    const current = product.imagesData.map(img => img._id.toString());
+
+    if (order.length !== current.length || new Set(order).size !== order.length ||
+        !order.every(id => current.includes(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'order must list every gallery image id exactly once'
+      });
+    }
+
+    product.imagesData = order.map(id => product.imagesData.find(img => img._id.toString() === id));
+    await product.save({ validateModifiedOnly: true });
+    await audit.recordProductUpdate(req, product, before, audit.gallerySnapshot(product));
+
+    res.json({
+      success: true,
+      message: 'Gallery reordered',
+      data: galleryResponse(product)
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// PUT make a gallery image the primary image (Protected - Owner or Admin only)
+router.put('/:id/images/:imageId/primary', protect, limit.productWrite, async (req, res) => {
+  try {
+    const product = await findEditableProduct(req, res);
+    if (!product) return;
+    const before = audit.gallerySnapshot(product);
+
+    const image = product.imagesData.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ success: false, message: 'Image not found' });
+    }
+
+    product.primaryImage = image._id;
+    await product.save({ validateModifiedOnly: true });
+    await audit.recordProductUpdate(req, product, before, audit.gallerySnapshot(product));
+
+    res.json({
+      success: true,
+      message: 'Primary image updated',
+      data: galleryResponse(product)
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, message: error.message });
+  }
+});
+
+// GET serve a gallery image. Supports Range requests.
+// Query: size=thumbnail|card|full|original (default full)
+router.get('/:id/images/:imageId', async (req, res) => {
+  try {
+    const size = images.parseSize(req.query.size);
+    if (!size) {
+      return res.status(400).json({ success: false, message: invalidSizeMessage });
+    }
+
+    const product = await Product.findOne(
+      { _id: req.params.id, 'imagesData._id': req.params.imageId },
+      { 'imagesData.$': 1, updatedAt: 1, deletedAt: 1 }
+    );
+
+    if (!product || product.isInTrash() || !product.imagesData[0].key) {
+      return res.status(404).json({ success: false, message: 'Image not found' });
+    }
+
+    // Gallery image ids are never reused, so clients may cache them for good
+    return images.sendImage(req, res, product.imagesData[0], size, { immutable: true, lastModified: product.updatedAt });
+  } catch (error) {
+    return res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// DELETE remove a gallery image (Protected - Owner or Admin only)
+router.delete('/:id/images/:imageId', protect, limit.productWrite, async (req, res) => {
+  try {
+    const product = await findEditableProduct(req, res);
+    if (!product) return;
+    const before = audit.gallerySnapshot(product);
+
+    const image = product.imagesData.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({ success: false, message: 'Image not found' });
+    }
+
+    product.imagesData.pull(image._id);
+    if (product.primaryImage && product.primaryImage.equals(image._id)) {
+      product.primaryImage = product.imagesData.length > 0 ? product.imagesData[0]._id : null;
+    }
+
+    await product.save({ validateModifiedOnly: true });
+    await audit.recordProductUpdate(req, product, before, audit.gallerySnapshot(product));
+    // Files of attached media stay with the media library item
+    if (!image.media) {
+      await images.removeImage(image);
+    }
+
+    res.json({
+      success: true,
+      message: 'Image deleted',
+      data: galleryResponse(product)
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // GET single product
-router.get('/:id', async (req, res) => {
+// Counts a view once per viewer per VIEW_WINDOW_MINUTES, never the owner's own
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
-    // Exclude binary image data from the product object by default.
-    const product = await Product.findById(req.params.id).select('-imageData -imagesData')
-      .populate('owner', 'name email');
+    const product = await Product.findById(req.params.id)
+      .populate('owner', 'name email')
+      .populate('category', CATEGORY_FIELDS);
       
-    if (!product) {
+    if (!product || product.isInTrash()) {
       return res.status(404).json({ 
         success: false,
         message: 'Product not found' 
       });
     }
     
+    // Tracking must not break the page
+    const viewed = await trending.recordView(product, req).catch(error => {
+      console.error('Error recording view:', error.message);
+      return false;
+    });
+    if (viewed) product.views += 1;
+
+    const held = await reservations.heldByProduct([product._id]);
+
     res.json({
       success: true,
-      data: product
+      data: gallery.withGallery(reservations.withAvailability(product.toJSON(), held))
     });
   } catch (error) {
     res.status(500).json({ 
@@ -129,7 +963,7 @@ router.get('/:id', async (req, res) => {
 
 // POST create product (Protected - Any logged in user)
 // Accepts multipart/form-data with an optional file field named 'image'.
-router.post('/', protect, multerConfig.memory.single('image'), async (req, res) => {
+router.post('/', protect, limit.productWrite, requireVerifiedEmail('products'), multerConfig.memory.single('image'), sanitizeUploads, async (req, res) => {
   // Validate after multer has parsed the body
   await body('name')
     .trim()
@@ -175,47 +1009,70 @@ router.post('/', protect, multerConfig.memory.single('image'), async (req, res)
     });
   }
 
+  let variants;
   try {
+    variants = parseVariants(req.body.variants);
+  } catch (error) {
+    return res.status(400).json({ 
+      success: false,
+      message: 'Variants must be a JSON array' 
+    });
+  }
+
+  let imageData;
+
+  try {
+    const category = await findCategory(req.body.category);
+    if (!category) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    // If a file was uploaded, store it and its resized copies
+    imageData = req.file ? await images.storeImage(req.file) : undefined;
+
     const product = new Product({
+      sku: req.body.sku || undefined,
       name: req.body.name,
       description: req.body.description,
       price: req.body.price,
-      category: req.body.category,
+      category: category._id,
       image: req.body.image || '',
-      // If a file was uploaded, save binary data
-      imageData: req.file ? {
-        data: req.file.buffer,
-        contentType: req.file.mimetype,
-        filename: req.file.originalname
-      } : undefined,
+      imageData,
       stock: req.body.stock || 0,
+      // Each variant: { sku, attributes, price, stock, image }
+      variants: variants || [],
       owner: req.user._id,
       isPublic: req.body.isPublic !== undefined ? req.body.isPublic : true
     });
 
     const newProduct = await product.save();
-    await newProduct.populate('owner', 'name email');
+    await newProduct.populate([
+      { path: 'owner', select: 'name email' },
+      { path: 'category', select: CATEGORY_FIELDS }
+    ]);
     
     res.status(201).json({
       success: true,
       message: 'Product created successfully',
-      // Provide an image URL endpoint that can be used by the frontend to fetch
-      // the binary image regardless of environment (no localhost hardcoding).
-      data: Object.assign(newProduct.toObject(), {
-        imageUrl: `/api/products/${newProduct._id}/image`
-      })
+      // `imageUrl` is the endpoint the frontend fetches the image from,
+      // regardless of environment (no localhost hardcoding).
+      data: gallery.withGallery(newProduct.toJSON())
     });
   } catch (error) {
+    await images.removeImage(imageData);
     res.status(400).json({ 
       success: false,
-      message: error.message 
+      message: error.code === 11000 ? 'You already have a product with this SKU' : error.message 
     });
   }
 });
 
 // PUT update product (Protected - Owner or Admin only)
 // Update product (can include new image file in field 'image')
-router.put('/:id', protect, multerConfig.memory.single('image'), async (req, res) => {
+router.put('/:id', protect, limit.productWrite, multerConfig.memory.single('image'), sanitizeUploads, async (req, res) => {
   // Validate after multer has parsed the body
   await body('name')
     .optional()
@@ -252,10 +1109,12 @@ router.put('/:id', protect, multerConfig.memory.single('image'), async (req, res
     });
   }
 
+  let newImage;
+
   try {
     const product = await Product.findById(req.params.id);
     
-    if (!product) {
+    if (!product || product.isInTrash()) {
       return res.status(404).json({ 
         success: false,
         message: 'Product not found' 
@@ -270,45 +1129,88 @@ router.put('/:id', protect, multerConfig.memory.single('image'), async (req, res
       });
     }
 
+    const before = audit.snapshot(product, audit.PRODUCT_AUDIT_FIELDS);
+
+    let variants;
+    try {
+      variants = parseVariants(req.body.variants);
+    } catch (error) {
+      return res.status(400).json({ 
+        success: false,
+        message: 'Variants must be a JSON array' 
+      });
+    }
+
     // Update fields
-    const allowedUpdates = ['name', 'description', 'price', 'category', 'image', 'stock', 'isPublic'];
+    const allowedUpdates = ['name', 'description', 'price', 'image', 'stock', 'isPublic'];
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
         product[field] = req.body[field];
       }
     });
 
-    // If a new file is uploaded, replace binary data
+    if (req.body.category !== undefined) {
+      const category = await findCategory(req.body.category);
+      if (!category) {
+        return res.status(400).json({
+          success: false,
+          message: 'Category not found'
+        });
+      }
+      product.category = category._id;
+    }
+
+    // An empty SKU removes it
+    if (req.body.sku !== undefined) {
+      product.sku = req.body.sku || undefined;
+    }
+
+    // Replaces the whole variant matrix; include a variant's _id to keep it
+    // (carts reference variants by id)
+    if (variants !== undefined) {
+      product.variants = variants;
+    }
+
+    // If a new file is uploaded, store it and replace the current image
+    const previousImage = product.toObject().imageData;
     if (req.file) {
-      product.imageData = {
-        data: req.file.buffer,
-        contentType: req.file.mimetype,
-        filename: req.file.originalname
-      };
+      newImage = await images.storeImage(req.file);
+      product.imageData = newImage;
     }
 
     const updatedProduct = await product.save();
-    await updatedProduct.populate('owner', 'name email');
+
+    await audit.recordProductUpdate(req, updatedProduct, before, audit.snapshot(updatedProduct, audit.PRODUCT_AUDIT_FIELDS));
+
+    await updatedProduct.populate([
+      { path: 'owner', select: 'name email' },
+      { path: 'category', select: CATEGORY_FIELDS }
+    ]);
+
+    if (newImage) {
+      await images.removeImage(previousImage);
+    }
     
     res.json({
       success: true,
       message: 'Product updated successfully',
-      data: updatedProduct
+      data: gallery.withGallery(updatedProduct.toJSON())
     });
   } catch (error) {
+    await images.removeImage(newImage);
     res.status(400).json({ 
       success: false,
-      message: error.message 
+      message: error.code === 11000 ? 'You already have a product with this SKU' : error.message 
     });
   }
 });
 
 // DELETE product (Protected - Owner or Admin only)
-router.delete('/:id', protect, async (req, res) => {
+router.delete('/:id', protect, limit.productWrite, async (req, res) => {
   try {
     const product = await Product.findById(req.params.id);
     
-    if (!product) {
+    if (!product || product.isInTrash()) {
       return res.status(404).json({ 
         success: false,
         message: 'Product not found' 
@@ -323,11 +1225,19 @@ router.delete('/:id', protect, async (req, res) => {
       });
     }
 
-    await product.deleteOne();
+    const before = audit.snapshot(product, TRASH_FIELDS);
+    await product.softDelete();
+    await audit.record(req, {
+      action: 'product.delete',
+      target: audit.productTarget(product),
+      changes: audit.diff(before, audit.snapshot(product, TRASH_FIELDS))
+    });
+    searchHelpers.resetVocabulary();
     
     res.json({ 
       success: true,
-      message: 'Product deleted successfully' 
+      message: `Product moved to the trash. It can be restored for ${productTrash.TRASH_RETENTION_DAYS} days`,
+      data: { _id: product._id, deletedAt: product.deletedAt, purgeAt: productTrash.purgeAt(product) }
     });
   } catch (error) {
     res.status(500).json({ 
@@ -337,10 +1247,66 @@ router.delete('/:id', protect, async (req, res) => {
   }
 });
 
-// GET categories list
+// POST restore a product from the trash (Protected - Owner or Admin only)
+router.post('/:id/restore', protect, limit.productWrite, async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.owner.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to restore this product'
+      });
+    }
+
+    if (!product.isInTrash()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Product is not in the trash'
+      });
+    }
+
+    const before = audit.snapshot(product, TRASH_FIELDS);
+    await product.restore();
+    await audit.record(req, {
+      action: 'product.restore',
+      target: audit.productTarget(product),
+      changes: audit.diff(before, audit.snapshot(product, TRASH_FIELDS))
+    });
+    searchHelpers.resetVocabulary();
+
+    await product.populate([
+      { path: 'owner', select: 'name email' },
+      { path: 'category', select: CATEGORY_FIELDS }
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Product restored',
+      data: gallery.withGallery(product.toJSON())
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// GET categories that have public products (full list: GET /api/categories)
 router.get('/filter/categories', async (req, res) => {
   try {
-    const categories = await Product.distinct('category', { isPublic: true });
+    const ids = await Product.distinct('category', { isPublic: true, isActive: true });
+    const categories = await Category.find({ _id: { $in: ids }, isActive: true })
+      .select('name slug parent')
+      .sort({ sortOrder: 1, name: 1 });
     res.json({
       success: true,
       data: categories
@@ -0,0 +1,297 @@
+const express = require('express');
+// Mounted at /api/products/:id/reviews, so merge params to see the product id
+const router = express.Router({ mergeParams: true });
+const { body, param, validationResult } = require('express-validator');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const { protect, optionalAuth, admin } = require('../middleware/auth');
+const pagination = require('../utils/pagination');
+
+// Malformed product or review ids cannot match anything, so answer 404
+// instead of letting the query fail with a CastError
+const notFoundOnInvalidId = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(404).json({
+      success: false,
+      message: errors.array()[0].msg
+    });
+  }
+  next();
+};
+
+const validReviewId = [
+  param('reviewId').isMongoId().withMessage('Review not found'),
+  notFoundOnInvalidId
+];
+
+router.use(param('id').isMongoId().withMessage('Product not found'), notFoundOnInvalidId);
+
+const reviewValidation = (optional) => [
+  (optional ? body('rating').optional() : body('rating'))
+    .notEmpty()
+    .withMessage('Rating is required')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be an integer between 1 and 5'),
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Title cannot exceed 100 characters'),
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Comment cannot exceed 2000 characters')
+];
+
+// @route   GET /api/products/:id/reviews
+// @desc    Get published reviews for a product (admins may pass ?status=hidden)
+// @access  Public
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const filter = { product: req.params.id, status: 'published' };
+
+    // Admins can look at hidden reviews through the moderation queue
+    if (req.query.status && req.user && req.user.role === 'admin') {
+      filter.status = req.query.status;
+    }
+
+    const limit = pagination.parseLimit(req.query.limit);
+    const page = pagination.parsePage(req.query.page);
+
+    const [reviews, total] = await Promise.all([
+      Review.find(filter)
+        .populate('user', 'name')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Review.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: reviews.length,
+      total,
+      page,
+      limit,
+      data: reviews
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching reviews',
+      data: [],
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/products/:id/reviews
+// @desc    Review a product (one review per user per product)
+// @access  Private
+router.post('/', protect, reviewValidation(false), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const product = await Product.findById(req.params.id).select('owner isActive');
+
+    if (!product || !product.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    if (product.owner.toString() === req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot review your own product'
+      });
+    }
+
+    const existing = await Review.findOne({ product: product._id, user: req.user._id });
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You have already reviewed this product'
+      });
+    }
+
+    const purchased = await Order.exists({
+      user: req.user._id,
+      'items.product': product._id,
+      status: { $ne: 'cancelled' }
+    });
+
+    const review = await Review.create({
+      product: product._id,
+      user: req.user._id,
+      rating: req.body.rating,
+      title: req.body.title,
+      comment: req.body.comment,
+      verifiedPurchase: Boolean(purchased)
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Review added successfully',
+      data: review
+    });
+  } catch (error) {
+    console.error('Add review error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/products/:id/reviews/:reviewId
+// @desc    Update own review
+// @access  Private
+router.put('/:reviewId', validReviewId, protect, reviewValidation(true), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, product: req.params.id });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to update this review'
+      });
+    }
+
+    ['rating', 'title', 'comment'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        review[field] = req.body[field];
+      }
+    });
+
+    const updatedReview = await review.save();
+
+    res.json({
+      success: true,
+      message: 'Review updated successfully',
+      data: updatedReview
+    });
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/products/:id/reviews/:reviewId
+// @desc    Delete a review
+// @access  Private (author or admin)
+router.delete('/:reviewId', validReviewId, protect, async (req, res) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, product: req.params.id });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    if (review.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to delete this review'
+      });
+    }
+
+    await review.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Review deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/products/:id/reviews/:reviewId/moderate
+// @desc    Hide or re-publish a review
+// @access  Private/Admin
+router.patch('/:reviewId/moderate', validReviewId, protect, admin, [
+  body('status')
+    .isIn(['published', 'hidden'])
+    .withMessage('Status must be either published or hidden'),
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Moderation note cannot exceed 500 characters')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      errors: errors.array()
+    });
+  }
+
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, product: req.params.id });
+
+    if (!review) {
+      return res.status(404).json({
+        success: false,
+        message: 'Review not found'
+      });
+    }
+
+    review.status = req.body.status;
+    review.moderatedBy = req.user._id;
+    if (req.body.note !== undefined) review.moderationNote = req.body.note;
+
+    const moderatedReview = await review.save();
+
+    res.json({
+      success: true,
+      message: `Review ${moderatedReview.status === 'hidden' ? 'hidden' : 'published'}`,
+      data: moderatedReview
+    });
+  } catch (error) {
+    console.error('Moderate review error:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,13 +2,34 @@ const express = require('express');
 const router = express.Router();
 const upload = require('../config/multer');
 const { protect } = require('../middleware/auth');
+const { limit } = require('../middleware/rateLimit');
+const { sanitizeUploads } = require('../middleware/imageUpload');
 const multer = require('multer');
-const fs = require('fs');
+const { createMedia } = require('../utils/media');
+
+// Upload response entry for a stored media item. `url` is the stable file URL
+// (it used to be a base64 data URL).
+const toUploadResult = (media) => ({
+  _id: media._id,
+  filename: media.filename,
+  url: media.url,
+  thumbnailUrl: `${media.url}?size=thumbnail`,
+  size: media.size,
+  mimetype: media.contentType
+});
+
+const uploadError = (res, error, message) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    error: error.message
+  });
+};
 
 // @route   POST /api/upload/single
-// @desc    Upload single image (converts to Base64 for MongoDB storage)
+// @desc    Upload single image to the caller's media library
 // @access  Private
-router.post('/single', protect, upload.single('image'), (req, res) => {
+router.post('/single', protect, limit.upload, upload.memory.single('image'), sanitizeUploads, async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({
@@ -17,36 +38,22 @@ router.post('/single', protect, upload.single('image'), (req, res) => {
       });
     }
 
-    // Read the file and convert to Base64
-    const imageBuffer = fs.readFileSync(req.file.path);
-    const base64Image = `data:${req.file.mimetype};base64,${imageBuffer.toString('base64')}`;
+    const [media] = await createMedia([req.file], req.user._id);
     
-    // Delete the temporary file
-    fs.unlinkSync(req.file.path);
-    
-    res.status(200).json({
+    res.status(201).json({
       success: true,
       message: 'File uploaded successfully',
-      data: {
-        filename: req.file.filename,
-        url: base64Image, // Send Base64 string instead of file path
-        size: req.file.size,
-        mimetype: req.file.mimetype
-      }
+      data: toUploadResult(media)
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error uploading file',
-      error: error.message
-    });
+    uploadError(res, error, 'Error uploading file');
   }
 });
 
 // @route   POST /api/upload/multiple
-// @desc    Upload multiple images (max 5) - converts to Base64 for MongoDB storage
+// @desc    Upload multiple images (max 5) to the caller's media library
 // @access  Private
-router.post('/multiple', protect, upload.array('images', 5), (req, res) => {
+router.post('/multiple', protect, limit.upload, upload.memory.array('images', 5), sanitizeUploads, async (req, res) => {
   try {
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
@@ -55,33 +62,15 @@ router.post('/multiple', protect, upload.array('images', 5), (req, res) => {
       });
     }
 
-    const fileUrls = req.files.map(file => {
-      // Read the file and convert to Base64
-      const imageBuffer = fs.readFileSync(file.path);
-      const base64Image = `data:${file.mimetype};base64,${imageBuffer.toString('base64')}`;
-      
-      // Delete the temporary file
-      fs.unlinkSync(file.path);
-      
-      return {
-        filename: file.filename,
-        url: base64Image, // Send Base64 string instead of file path
-        size: file.size,
-        mimetype: file.mimetype
-      };
-    });
+    const media = await createMedia(req.files, req.user._id);
     
-    res.status(200).json({
+    res.status(201).json({
       success: true,
       message: `${req.files.length} file(s) uploaded successfully`,
-      data: fileUrls
+      data: media.map(toUploadResult)
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error uploading files',
-      error: error.message
-    });
+    uploadError(res, error, 'Error uploading files');
   }
 });
 
@@ -0,0 +1,45 @@
+// Bring the carts collection's indexes in line with models/Cart.js.
+//
+// Usage:
+//   node scripts/migrate-cart-indexes.js            migrate
+//   node scripts/migrate-cart-indexes.js --dry-run  only report what would change
+//
+// Carts used to have a unique index on `user` (`user_1`). Guest carts have no
+// user, so with that index every guest cart after the first fails with a
+// duplicate key error. Mongoose creates new indexes but never drops old ones,
+// so databases created before guest carts keep `user_1` until this script
+// drops it. The partial `user_unique` index replaces it. Safe to run again.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Cart = require('../models/Cart');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is not defined in .env file');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`🔄 Migrating cart indexes${dryRun ? ' (dry run)' : ''}`);
+
+  const { toDrop, toCreate } = await Cart.diffIndexes();
+  toDrop.forEach(name => console.log(`   ${dryRun ? 'would drop' : 'dropping'} index ${name}`));
+  toCreate.forEach(index => console.log(`   ${dryRun ? 'would create' : 'creating'} index ${JSON.stringify(index)}`));
+
+  if (!dryRun) {
+    await Cart.syncIndexes();
+  }
+
+  console.log(`✅ ${toDrop.length} index(es) to drop, ${toCreate.length} to create${dryRun ? '' : ': done'}`);
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+run().catch(async (error) => {
+  console.error('❌ Migration failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,105 @@
+// Move products from the old hard-coded category names to the Category
+// collection (see models/Category.js).
+//
+// Usage:
+//   node scripts/migrate-categories.js            migrate
+//   node scripts/migrate-categories.js --dry-run  only report what would change
+//
+// Creates a top-level category for each old name (the former enum values plus
+// any other name found on products or coupons), then replaces the names on
+// products and in coupon `applicableCategories` with category ids. Existing
+// categories with the same slug are reused, so the script can be run again
+// safely. Order snapshots keep the category name they were placed with.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const Coupon = require('../models/Coupon');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// The values of the former `category` enum, in their original order
+const LEGACY_CATEGORIES = [
+  'Electronics', 'Clothing', 'Home & Garden', 'Sports', 'Books',
+  'Toys', 'Food', 'Beauty', 'Automotive', 'Other'
+];
+
+// Raw collection queries: the schemas no longer accept category names
+const legacyNames = async () => {
+  const [productNames, couponNames] = await Promise.all([
+    Product.collection.distinct('category', { category: { $type: 'string' } }),
+    Coupon.collection.distinct('applicableCategories', { applicableCategories: { $type: 'string' } })
+  ]);
+  const extra = [...productNames, ...couponNames]
+    .filter(name => typeof name === 'string' && !LEGACY_CATEGORIES.includes(name))
+    .sort();
+  return [...LEGACY_CATEGORIES, ...new Set(extra)];
+};
+
+// Category id for every legacy name, creating the missing categories
+const ensureCategories = async (names) => {
+  const ids = new Map();
+
+  for (const [index, name] of names.entries()) {
+    let category = await Category.findOne({ slug: Category.slugify(name) });
+    if (!category) {
+      if (dryRun) {
+        console.log(`   would create category "${name}"`);
+        continue;
+      }
+      category = await Category.create({ name, sortOrder: index });
+      console.log(`   created category "${name}" (${category.slug})`);
+    }
+    ids.set(name, category._id);
+  }
+
+  return ids;
+};
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is not defined in .env file');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`🔄 Migrating categories${dryRun ? ' (dry run)' : ''}`);
+
+  const names = await legacyNames();
+  const ids = await ensureCategories(names);
+
+  let products = 0;
+  for (const name of names) {
+    if (dryRun) {
+      const count = await Product.collection.countDocuments({ category: name });
+      if (count > 0) console.log(`   ${count} product(s) in "${name}"`);
+      products += count;
+      continue;
+    }
+    const result = await Product.collection.updateMany({ category: name }, { $set: { category: ids.get(name) } });
+    products += result.modifiedCount;
+  }
+
+  let coupons = 0;
+  const cursor = Coupon.collection.find({ applicableCategories: { $type: 'string' } });
+  for await (const coupon of cursor) {
+    coupons += 1;
+    if (dryRun) continue;
+
+    const applicableCategories = coupon.applicableCategories.map(value =>
+      (typeof value === 'string' ? ids.get(value) : value)
+    );
+    await Coupon.collection.updateOne({ _id: coupon._id }, { $set: { applicableCategories } });
+  }
+
+  console.log(`✅ ${products} product(s) and ${coupons} coupon(s) ${dryRun ? 'to migrate' : 'migrated'}`);
+  await mongoose.disconnect();
+  process.exit(0);
+};
+
+run().catch(async (error) => {
+  console.error('❌ Migration failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,128 @@
+// Move binary product images stored inside Product documents (`imageData.data`
+// and `imagesData[].data`) into image storage (IMAGE_STORAGE, see
+// utils/imageStorage.js).
+//
+// Usage:
+//   node scripts/migrate-images.js            migrate every product
+//   node scripts/migrate-images.js --dry-run  only report what would move
+//
+// Gallery image ids are kept, so image URLs and `primaryImage` stay valid.
+// Products are updated one at a time and only while they still hold the
+// binary data, so the script can be stopped and run again safely.
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Product = require('../models/Product');
+const images = require('../utils/images');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const LEGACY_FILTER = {
+  $or: [
+    { 'imageData.data': { $exists: true } },
+    { 'imagesData.data': { $exists: true } }
+  ]
+};
+
+// Store one legacy image. Images sharp cannot read are stored without resized
+// copies rather than dropped.
+const migrateImage = async (legacy, label) => {
+  const file = {
+    buffer: legacy.data,
+    mimetype: legacy.contentType || 'application/octet-stream',
+    originalname: legacy.filename || 'image'
+  };
+  const options = { uploadedAt: legacy.uploadedAt };
+
+  try {
+    return await images.storeImage(file, options);
+  } catch (error) {
+    console.warn(`   ⚠️  ${label}: ${error.message}; storing the original only`);
+    return images.storeImage(file, { ...options, resize: false });
+  }
+};
+
+const migrateProduct = async (doc) => {
+  const update = {};
+  const stored = [];
+
+  try {
+    if (doc.imageData && doc.imageData.data) {
+      update.imageData = await migrateImage(doc.imageData, `${doc._id} main image`);
+      stored.push(update.imageData);
+    }
+
+    if ((doc.imagesData || []).some(img => img.data)) {
+      update.imagesData = [];
+      for (const img of doc.imagesData) {
+        if (!img.data) {
+          update.imagesData.push(img);
+          continue;
+        }
+        const image = await migrateImage(img, `${doc._id} gallery image ${img._id}`);
+        stored.push(image);
+        update.imagesData.push({ _id: img._id, ...image });
+      }
+    }
+
+    // Raw collection update: the schema no longer knows the `data` fields
+    const result = await Product.collection.updateOne(
+      { _id: doc._id, ...LEGACY_FILTER },
+      { $set: update }
+    );
+    if (result.modifiedCount === 0) {
+      throw new Error('product changed while migrating');
+    }
+  } catch (error) {
+    await Promise.all(stored.map(images.removeImage));
+    throw error;
+  }
+
+  return stored.length;
+};
+
+const run = async () => {
+  if (!process.env.MONGODB_URI) {
+    console.error('❌ MONGODB_URI is not defined in .env file');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`🔄 Migrating product images to ${process.env.IMAGE_STORAGE || 'gridfs'} storage${dryRun ? ' (dry run)' : ''}`);
+
+  let products = 0;
+  let migrated = 0;
+  let failed = 0;
+
+  // promoteBuffers returns the binary fields as Buffers
+  const cursor = Product.collection.find(LEGACY_FILTER, { promoteBuffers: true });
+
+  for await (const doc of cursor) {
+    products += 1;
+
+    if (dryRun) {
+      const count = (doc.imageData && doc.imageData.data ? 1 : 0) +
+        (doc.imagesData || []).filter(img => img.data).length;
+      console.log(`   ${doc._id}: ${count} image(s)`);
+      migrated += count;
+      continue;
+    }
+
+    try {
+      migrated += await migrateProduct(doc);
+    } catch (error) {
+      failed += 1;
+      console.error(`   ❌ ${doc._id}: ${error.message}`);
+    }
+  }
+
+  console.log(`✅ ${products} product(s), ${migrated} image(s) ${dryRun ? 'to migrate' : 'migrated'}, ${failed} failed`);
+  await mongoose.disconnect();
+  process.exit(failed > 0 ? 1 : 0);
+};
+
+run().catch(async (error) => {
+  console.error('❌ Migration failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -16,11 +16,35 @@ if (!fs.existsSync(uploadsDir)) {
   console.log('📁 Created uploads directory');
 }
 
+// Behind a reverse proxy, set TRUST_PROXY (number of proxy hops, `true`, or
+// trusted addresses such as `loopback`) so req.ip is the client address that
+// rate limits are counted by
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  const hops = Number(trustProxy);
+  app.set('trust proxy', trustProxy === 'true' || (Number.isNaN(hops) ? trustProxy : hops));
+}
+
+// Check RATE_LIMIT_STORE once here: rate limiting fails open on store
+// errors, so a mistyped name would otherwise silently turn it off
+try {
+  require('./utils/rateLimitStore').getStore();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+
 // Middleware
-app.use(cors());
-// Increase payload size limit to handle larger image data
-app.use(bodyParser.json({ limit: '10mb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
+// Expose the guest cart token and rate limit headers so browsers can read them
+app.use(cors({
+  exposedHeaders: [
+    'X-Cart-Token', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset',
+    'RateLimit-Policy', 'Retry-After'
+  ]
+}));
+// Images are uploaded as multipart files (media library), never inside JSON
+app.use(bodyParser.json({ limit: '1mb' }));
+app.use(bodyParser.urlencoded({ extended: true, limit: '1mb' }));
 
 // Serve static files (uploaded images)
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
@@ -39,6 +63,8 @@ console.log(`📊 Database name: ${MONGODB_URI.split('/').pop().split('?')[0]}`)
 
 mongoose.set('strictQuery', false);
 
+const productTrash = require('./utils/productTrash');
+
 // Connection options
 const mongooseOptions = {
   serverSelectionTimeoutMS: 30000,
@@ -51,6 +77,8 @@ const mongooseOptions = {
 mongoose.connect(MONGODB_URI, mongooseOptions)
   .then(() => {
     console.log('✅ MongoDB connected successfully');
+    // Purge products that have been in the trash past the retention period
+    productTrash.schedulePurge();
   })
   .catch(err => {
     console.error('❌ MongoDB connection failed:', err.message);
@@ -102,14 +130,24 @@ app.get('/api/health', (req, res) => {
 // Import routes
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
+const categoryRoutes = require('./routes/categories');
 const uploadRoutes = require('./routes/upload');
+const mediaRoutes = require('./routes/media');
 const cartRoutes = require('./routes/cart');
+const orderRoutes = require('./routes/orders');
+const couponRoutes = require('./routes/coupons');
+const adminRoutes = require('./routes/admin');
 
 // Use routes
 app.use('/api/auth', authRoutes);
 app.use('/api/products', productRoutes);
+app.use('/api/categories', categoryRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/media', mediaRoutes);
 app.use('/api/cart', cartRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler - must be after all routes
 app.use((req, res) => {
@@ -141,6 +179,7 @@ app.listen(PORT, () => {
   console.log('   GET  /api/health - Health check');
   console.log('   POST /api/auth/signup - Register user');
   console.log('   POST /api/auth/login - Login user');
+  console.log('   POST /api/auth/refresh - Refresh access token');
   console.log('   GET  /api/auth/me - Get current user (protected)');
   console.log('   GET  /api/products - Get all products');
   console.log('   GET  /api/products/my/products - Get user products (protected)');
@@ -148,5 +187,9 @@ app.listen(PORT, () => {
   console.log('   GET  /api/products/:id - Get single product');
   console.log('   PUT  /api/products/:id - Update product (protected)');
   console.log('   DELETE /api/products/:id - Delete product (protected)');
+  console.log('   GET  /api/categories - Get categories');
+  console.log('   POST /api/media - Upload to media library (protected)');
+  console.log('   POST /api/orders/checkout - Checkout cart (protected)');
+  console.log('   GET  /api/orders - Get user orders (protected)');
   console.log('\n✨ Ready to accept requests!\n');
 });
@@ -0,0 +1,205 @@
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+const { stringify } = require('csv-stringify/sync');
+const AuditLog = require('../models/AuditLog');
+const { escapeCsvFormula } = require('./text');
+
+// Audit trail for privileged and ownership-sensitive actions: product changes
+// and deletions, role changes, account (de)activation and password changes.
+// Entries go to the append-only AuditLog collection.
+
+// Product fields compared for product.update / product.delete entries.
+// Nested paths (imageData.key) record which stored image was used.
+const PRODUCT_AUDIT_FIELDS = [
+  'name', 'description', 'price', 'stock', 'discount', 'category', 'sku',
+  'tags', 'isPublic', 'image', 'imageData.key', 'variants'
+];
+
+// Gallery state compared for gallery changes: image ids in gallery order and
+// the primary image
+const gallerySnapshot = (product) => ({
+  images: product.imagesData.map(img => img._id.toString()),
+  primaryImage: product.primaryImage ? product.primaryImage.toString() : null
+});
+
+// Values that never belong in the log, whatever the field list says
+const REDACTED_FIELDS = ['password', 'passwordResetToken', 'emailVerificationToken'];
+
+// Changes recorded for a password change: that it happened, never the value
+const PASSWORD_CHANGES = [{ field: 'password', before: '[redacted]', after: '[redacted]' }];
+
+// Plain, comparable copy of a value (ObjectIds and dates as strings,
+// subdocuments as plain objects)
+const plain = (value) => {
+  if (value === undefined || value === null) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+// Values of `fields` on a document or plain object
+const snapshot = (doc, fields) => {
+  const values = {};
+  fields.forEach(field => {
+    const value = typeof doc.get === 'function' ? doc.get(field) : field.split('.').reduce((obj, key) => obj && obj[key], doc);
+    values[field] = plain(value);
+  });
+  return values;
+};
+
+// Changed fields between two snapshots, as [{ field, before, after }]
+const diff = (before, after) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return fields
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => (REDACTED_FIELDS.includes(field)
+      ? { field, before: '[redacted]', after: '[redacted]' }
+      : { field, before: before[field] ?? null, after: after[field] ?? null }));
+};
+
+// Record an action done by `req.user` (or `actor` when the request is not
+// signed in, e.g. a password reset link). `req` is null for actions the
+// server does on its own, such as trash purges, which have no actor.
+// `target` is { type: 'Product' | 'User', id, label, owner }. Failures are
+// logged and never fail the request: the action itself has already happened.
+const record = async (req, { action, target, changes = [], actor = req && req.user }) => {
+  try {
+    const owner = target.owner ? target.owner.toString() : null;
+    return await AuditLog.create({
+      actor: actor
+        ? { user: actor._id, name: actor.name, email: actor.email, role: actor.role }
+        : {},
+      action,
+      target,
+      privileged: Boolean(actor && owner && owner !== actor._id.toString()),
+      changes,
+      ip: req ? req.ip : undefined,
+      userAgent: req ? req.get('User-Agent') : undefined
+    });
+  } catch (error) {
+    console.error(`Failed to write audit log (${action}):`, error.message);
+    return null;
+  }
+};
+
+// Audit log target for a product
+const productTarget = (product) => ({ type: 'Product', id: product._id, label: product.name, owner: product.owner });
+
+// Record a product.update entry for the changes between two snapshots of
+// `product`; nothing is written when nothing changed
+const recordProductUpdate = async (req, product, before, after) => {
+  const changes = diff(before, after);
+  if (changes.length === 0) return null;
+  return record(req, { action: 'product.update', target: productTarget(product), changes });
+};
+
+// Audit log filter from query parameters: actor (user id), action (comma
+// separated), targetType, target (id), privileged, ip, from and to (dates).
+// Throws an error with statusCode 400 for invalid values.
+const buildFilter = (query) => {
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  };
+  const objectId = (value, name) => {
+    if (!mongoose.Types.ObjectId.isValid(value)) throw invalid(`Invalid ${name} id`);
+    return new mongoose.Types.ObjectId(value);
+  };
+  const date = (value, name) => {
+    const parsed = new Date(value);
+    if (Number.isNaN(parsed.getTime())) throw invalid(`${name} must be a valid date`);
+    return parsed;
+  };
+
+  const filter = {};
+  if (query.actor) filter['actor.user'] = objectId(query.actor, 'actor');
+  if (query.action) {
+    const actions = String(query.action).split(',').map(action => action.trim()).filter(Boolean);
+    const unknown = actions.filter(action => !AuditLog.ACTIONS.includes(action));
+    if (unknown.length > 0) {
+      throw invalid(`Unknown action: ${unknown.join(', ')}. Use one of: ${AuditLog.ACTIONS.join(', ')}`);
+    }
+    filter.action = { $in: actions };
+  }
+  if (query.targetType) {
+    if (!['Product', 'User'].includes(query.targetType)) throw invalid('targetType must be Product or User');
+    filter['target.type'] = query.targetType;
+  }
+  if (query.target) filter['target.id'] = objectId(query.target, 'target');
+  if (query.privileged !== undefined) filter.privileged = query.privileged === 'true';
+  if (query.ip) filter.ip = String(query.ip);
+  if (query.from || query.to) {
+    filter.createdAt = {};
+    if (query.from) filter.createdAt.$gte = date(query.from, 'from');
+    if (query.to) filter.createdAt.$lte = date(query.to, 'to');
+  }
+  return filter;
+};
+
+const EXPORT_COLUMNS = [
+  'createdAt', 'action', 'actorId', 'actorEmail', 'actorRole', 'targetType',
+  'targetId', 'targetLabel', 'targetOwner', 'privileged', 'ip', 'userAgent', 'changes'
+];
+
+// Product names and user agents come from users, so no cell may run as a
+// spreadsheet formula
+const CSV_OPTIONS = { columns: EXPORT_COLUMNS, cast: { string: escapeCsvFormula } };
+
+// One entry as a flat CSV row; changes are kept as a JSON string
+const exportRow = (entry) => ({
+  createdAt: entry.createdAt.toISOString(),
+  action: entry.action,
+  actorId: entry.actor && entry.actor.user ? entry.actor.user.toString() : '',
+  actorEmail: (entry.actor && entry.actor.email) || '',
+  actorRole: (entry.actor && entry.actor.role) || '',
+  targetType: entry.target.type,
+  targetId: entry.target.id.toString(),
+  targetLabel: entry.target.label || '',
+  targetOwner: entry.target.owner ? entry.target.owner.toString() : '',
+  privileged: String(entry.privileged),
+  ip: entry.ip || '',
+  userAgent: entry.userAgent || '',
+  changes: JSON.stringify(entry.changes || [])
+});
+
+// Readable stream of the entries matching `filter`, newest first, as 'csv'
+// or 'json'. Read with a cursor so long histories are never held in memory.
+const exportStream = (filter, format) => {
+  const cursor = AuditLog.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .lean()
+    .cursor();
+
+  return Readable.from((async function* () {
+    try {
+      // Read the first entry before writing anything, so a failing query
+      // can still be answered with an error response
+      let next = await cursor.next();
+
+      yield format === 'csv' ? stringify([], { ...CSV_OPTIONS, header: true }) : '[';
+      let first = true;
+      while (next) {
+        yield format === 'csv'
+          ? stringify([exportRow(next)], CSV_OPTIONS)
+          : `${first ? '' : ','}\n${JSON.stringify(next)}`;
+        first = false;
+        next = await cursor.next();
+      }
+      if (format === 'json') yield '\n]\n';
+    } finally {
+      await cursor.close();
+    }
+  })());
+};
+
+module.exports = {
+  PRODUCT_AUDIT_FIELDS,
+  PASSWORD_CHANGES,
+  snapshot,
+  gallerySnapshot,
+  diff,
+  record,
+  productTarget,
+  recordProductUpdate,
+  buildFilter,
+  exportStream
+};
@@ -0,0 +1,114 @@
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const reservations = require('./reservations');
+
+const MAX_LINE_QUANTITY = 100;
+
+// Merge a guest cart into a user's cart when the guest logs in or signs up.
+//
+// Rules:
+//  - lines whose product was removed, deactivated or lost its variant are
+//    dropped, as are lines without a variant on a product that now has variants
+//  - a product (and variant) already in the user's cart gets both quantities
+//    added up; otherwise the guest line is copied over with its price
+//  - a line is capped at 100 units and at the stock available to the user, but
+//    never shrinks below what the user's cart already had
+//  - the user's coupon wins; the guest coupon is only carried over if the user
+//    had none
+// The guest cart and its stock holds are removed afterwards.
+//
+// Resolves to null when there is no guest cart for the token, otherwise to
+// { merged, adjusted: [{ product, variant, requested, quantity }],
+//   dropped: [{ product, variant, reason }] }.
+const mergeGuestCart = async (guestToken, userId) => {
+  const guestCart = await Cart.findOne({ guestTokenHash: Cart.hashGuestToken(guestToken) });
+  if (!guestCart) return null;
+
+  const report = { merged: 0, adjusted: [], dropped: [] };
+  const userCart = await Cart.findOne({ user: userId }) || new Cart({ user: userId, items: [] });
+
+  // Release the guest holds first so those units are available to the user cart
+  await reservations.releaseCart(guestCart._id);
+
+  const products = await Product.find({ _id: { $in: guestCart.items.map(item => item.product) } });
+  const productsById = new Map(products.map(product => [product._id.toString(), product]));
+
+  for (const guestItem of guestCart.items) {
+    const product = productsById.get(guestItem.product.toString());
+    const variantId = guestItem.variant || null;
+    const variant = product && variantId ? product.getVariant(variantId) : null;
+    // Same rule as reconcileCart: a line without a variant cannot be bought
+    // once the product has variants
+    const variantMissing = variantId ? !variant : product && product.variants.length > 0;
+
+    if (!product || !product.isActive || variantMissing) {
+      report.dropped.push({
+        product: guestItem.product,
+        variant: variantId,
+        reason: product && product.isActive && !variantId
+          ? 'This product now comes in several options, please add the one you want'
+          : 'Product is no longer available'
+      });
+      continue;
+    }
+
+    const existing = userCart.findItem(product._id, variantId);
+    const previous = existing ? existing.quantity : 0;
+    const requested = previous + guestItem.quantity;
+    const available = await reservations.availableStock(product, variant, userCart._id);
+    let quantity = Math.max(previous, Math.min(requested, MAX_LINE_QUANTITY, available));
+
+    // Hold the units before merging the line. Another cart may have taken
+    // some since availableStock was read, so cap at what can still be held
+    // (a failed hold keeps the user's previous one).
+    if (quantity > previous) {
+      const holdResult = await reservations.hold(userCart._id, product, variant, quantity);
+      if (!holdResult.ok) {
+        quantity = Math.max(previous, Math.min(quantity, holdResult.available));
+        if (quantity > previous && !(await reservations.hold(userCart._id, product, variant, quantity)).ok) {
+          quantity = previous;
+        }
+      }
+    }
+
+    if (quantity === previous) {
+      report.dropped.push({
+        product: product._id,
+        variant: variantId,
+        reason: previous > 0 ? 'No more units can be added' : 'Out of stock'
+      });
+      continue;
+    }
+
+    if (quantity < requested) {
+      report.adjusted.push({ product: product._id, variant: variantId, requested, quantity });
+    }
+
+    if (existing) {
+      existing.quantity = quantity;
+    } else {
+      userCart.items.push({
+        product: product._id,
+        variant: variantId,
+        quantity,
+        price: guestItem.price,
+        originalPrice: guestItem.originalPrice,
+        discount: guestItem.discount
+      });
+    }
+
+    report.merged += 1;
+  }
+
+  if (!userCart.coupon && guestCart.coupon) {
+    userCart.coupon = guestCart.coupon;
+    userCart.couponCode = guestCart.couponCode;
+  }
+
+  await userCart.save();
+  await guestCart.deleteOne();
+
+  return report;
+};
+
+module.exports = { mergeGuestCart };
@@ -0,0 +1,108 @@
+const reservations = require('./reservations');
+
+// Compare every cart line with the current product price, discount and stock.
+// `cart.items.product` must be populated. Resolves to one entry per item:
+//   { item, product, variant, available, changes: [{ type, message, from, to }] }
+// Change types: unavailable, price_increased, price_decreased, out_of_stock,
+// stock_reduced.
+const reconcileCart = (cart) => {
+  return Promise.all(cart.items.map(async (item) => {
+    // populate() leaves null behind when the product was deleted
+    const product = item.product && item.product._id ? item.product : null;
+    const variant = product && item.variant ? product.getVariant(item.variant) : null;
+    const changes = [];
+
+    // A line without a variant cannot be bought once the product has variants
+    const variantMissing = item.variant ? !variant : product && product.variants.length > 0;
+
+    if (!product || !product.isActive || variantMissing) {
+      let message = 'This product has been removed or deactivated';
+      if (product && product.deletedAt) {
+        message = 'This product has been removed by the seller';
+      } else if (product && product.isActive && !item.variant) {
+        message = 'This product now comes in several options, please add the one you want';
+      }
+      changes.push({ type: 'unavailable', message });
+      return { item, product, variant, available: 0, changes };
+    }
+
+    const price = product.finalPriceFor(variant);
+    if (price !== item.price) {
+      const direction = price > item.price ? 'up' : 'down';
+      changes.push({
+        type: `price_${direction === 'up' ? 'increased' : 'decreased'}`,
+        message: `Price went ${direction} from ${item.price} to ${price}`,
+        from: item.price,
+        to: price
+      });
+    }
+
+    const available = await reservations.availableStock(product, variant, cart._id);
+    if (available === 0) {
+      changes.push({
+        type: 'out_of_stock',
+        message: 'Now out of stock',
+        from: item.quantity,
+        to: 0
+      });
+    } else if (available < item.quantity) {
+      changes.push({
+        type: 'stock_reduced',
+        message: `Only ${available} left in stock`,
+        from: item.quantity,
+        to: available
+      });
+    }
+
+    return { item, product, variant, available, changes };
+  }));
+};
+
+// Plain cart object for responses, with each item's changes attached
+const withChanges = (cart, results) => {
+  const data = cart.toJSON();
+  data.items.forEach((item, index) => {
+    item.changes = results[index].changes;
+  });
+  data.hasChanges = results.some(result => result.changes.length > 0);
+  return data;
+};
+
+// Lock the reconciled values into the cart: drop unavailable and sold-out
+// lines, take the current prices and cap quantities at what is available.
+// Holds are renewed for the lines that stay.
+const acceptChanges = async (cart, results) => {
+  const kept = [];
+  // populate() keeps the original ids on the cart, so holds on hard-deleted
+  // products (left as null) can still be released
+  const productIds = cart.populated('items.product') || [];
+
+  for (const [index, { item, product, variant, available, changes }] of results.entries()) {
+    const productId = product ? product._id : productIds[index];
+
+    if (changes.some(change => change.type === 'unavailable' || change.type === 'out_of_stock')) {
+      await reservations.release(cart._id, productId, item.variant);
+      continue;
+    }
+
+    Object.assign(item, product.pricingFor(variant));
+    item.quantity = Math.min(item.quantity, available);
+
+    const holdResult = await reservations.hold(cart._id, product, variant, item.quantity);
+    if (!holdResult.ok) {
+      if (holdResult.available === 0) {
+        await reservations.release(cart._id, productId, item.variant);
+        continue;
+      }
+      item.quantity = holdResult.available;
+      await reservations.hold(cart._id, product, variant, item.quantity);
+    }
+
+    kept.push(item);
+  }
+
+  cart.items = kept;
+  return await cart.save();
+};
+
+module.exports = { reconcileCart, withChanges, acceptChanges };
@@ -0,0 +1,322 @@
+const path = require('path');
+const { Readable } = require('stream');
+const { parse } = require('csv-parse/sync');
+const { stringify } = require('csv-stringify/sync');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const audit = require('./audit');
+const { escapeCsvFormula } = require('./text');
+
+// Bulk product import and export (CSV and JSON).
+//
+// Both use the same columns, so an exported file can be edited and imported
+// again. Imports upsert by the seller's SKU and are checked with the Product
+// schema's own validation before anything is written.
+
+const CATALOG_FIELDS = [
+  'sku', 'name', 'description', 'price', 'category', 'stock', 'discount',
+  'tags', 'image', 'isPublic', 'variants'
+];
+
+// Largest number of rows accepted in one import
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 1000;
+
+const importError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+// Format of an uploaded import file: 'csv' or 'json'
+const fileFormat = (file) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (extension === '.json' || file.mimetype === 'application/json') return 'json';
+  return 'csv';
+};
+
+// Rows of an uploaded CSV or JSON file, as plain objects. JSON files hold an
+// array of products (or `{ "products": [...] }`). CSV headers are matched to
+// the catalog fields case-insensitively; other columns are ignored. Throws an
+// error with statusCode 400 when the file cannot be read.
+const parseImportFile = (file) => {
+  const text = file.buffer.toString('utf8');
+  let rows;
+
+  if (fileFormat(file) === 'json') {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw importError(`Invalid JSON: ${error.message}`);
+    }
+    rows = Array.isArray(data) ? data : data && data.products;
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      throw importError('JSON imports must be an array of product objects');
+    }
+  } else {
+    const byLowerCase = new Map(CATALOG_FIELDS.map(field => [field.toLowerCase(), field]));
+    try {
+      rows = parse(text, {
+        bom: true,
+        columns: header => header.map(name => byLowerCase.get(String(name).trim().toLowerCase()) || false),
+        skip_empty_lines: true,
+        trim: true
+      });
+    } catch (error) {
+      throw importError(`Invalid CSV: ${error.message}`);
+    }
+  }
+
+  if (rows.length === 0) {
+    throw importError('The file contains no products');
+  }
+  if (rows.length > IMPORT_MAX_ROWS) {
+    throw importError(`Imports are limited to ${IMPORT_MAX_ROWS} products per file`);
+  }
+  return rows;
+};
+
+// Product fields from one imported row. Empty cells are left out, so updates
+// keep the current value. Tags may be a list or a string separated by `|` or
+// commas; variants may be a list or a JSON string.
+const rowFields = (row) => {
+  const fields = {};
+  const errors = [];
+
+  CATALOG_FIELDS.forEach(field => {
+    let value = row[field];
+    if (typeof value === 'string') value = value.trim();
+    if (value === undefined || value === null || value === '') return;
+
+    if (field === 'tags' && typeof value === 'string') {
+      value = value.split(/[|,]/).map(tag => tag.trim()).filter(Boolean);
+    }
+    if (field === 'variants' && typeof value === 'string') {
+      try {
+        value = JSON.parse(value);
+      } catch (error) {
+        errors.push({ field, message: 'Variants must be a JSON array' });
+        return;
+      }
+    }
+    if (field === 'variants' && !Array.isArray(value)) {
+      errors.push({ field, message: 'Variants must be a JSON array' });
+      return;
+    }
+
+    fields[field] = typeof value === 'object' || typeof value === 'boolean' || typeof value === 'number'
+      ? value
+      : String(value);
+  });
+
+  return { fields, errors };
+};
+
+// Field errors of a failed mongoose validation
+const validationErrors = (error) => {
+  if (error.name !== 'ValidationError') return [{ field: null, message: error.message }];
+  return Object.values(error.errors).map(err => ({
+    field: err.path,
+    message: err.name === 'CastError' ? `Invalid value for ${err.path}` : err.message
+  }));
+};
+
+// Import rows for `owner`, upserting by SKU. Every row is validated first;
+// with `dryRun` nothing is written. Otherwise valid rows are saved and
+// failing rows are reported. Resolves to
+// { dryRun, total, created, updated, failed, results, errors } where
+// `results` has one { row, sku, action } per row (action create, update or
+// error) and `errors` lists { row, sku, field, message }. Rows are numbered
+// from 1, not counting the CSV header. With `req`, every product updated is
+// recorded in the audit log.
+const importProducts = async (rows, { owner, dryRun, req }) => {
+  const parsed = rows.map((row, index) => ({ row: index + 1, ...rowFields(row) }));
+  parsed.forEach(entry => {
+    if (entry.fields.sku) entry.fields.sku = String(entry.fields.sku).toUpperCase();
+  });
+
+  // Look categories and existing products up once for the whole file
+  const categoryValues = [...new Set(parsed.map(entry => entry.fields.category).filter(Boolean).map(String))];
+  const { categories } = await Category.resolve(categoryValues);
+  const categoryFor = (value) => categories.find(category => category.isActive && (
+    category._id.toString() === value || category.slug === Category.slugify(value)
+  ));
+
+  const skus = parsed.map(entry => entry.fields.sku).filter(Boolean);
+  const existing = await Product.find({ owner, sku: { $in: skus } });
+  const bySku = new Map(existing.map(product => [product.sku, product]));
+  const seen = new Set();
+
+  const results = [];
+  const errors = [];
+  const toSave = [];
+
+  for (const entry of parsed) {
+    const { row, fields } = entry;
+    const sku = fields.sku || null;
+    const rowErrors = [...entry.errors];
+
+    const duplicate = Boolean(sku) && seen.has(sku);
+    if (!sku) {
+      rowErrors.push({ field: 'sku', message: 'SKU is required' });
+    } else if (duplicate) {
+      rowErrors.push({ field: 'sku', message: 'Duplicate SKU in this file' });
+    }
+    if (sku) seen.add(sku);
+
+    if (fields.category) {
+      const category = categoryFor(String(fields.category));
+      if (category) {
+        fields.category = category._id;
+      } else {
+        rowErrors.push({ field: 'category', message: `Unknown category: ${fields.category}` });
+        delete fields.category;
+      }
+    }
+
+    // Duplicates are checked on a fresh document so they cannot change the
+    // product an earlier row updates
+    const current = sku && !duplicate ? bySku.get(sku) : null;
+    if (current && current.isInTrash()) {
+      rowErrors.push({ field: 'sku', message: 'A product with this SKU is in the trash, restore it first' });
+    }
+    let product;
+    let before = null;
+    if (current) {
+      before = audit.snapshot(current, audit.PRODUCT_AUDIT_FIELDS);
+      // Keep variant ids (carts reference them) for variants with the same SKU
+      if (fields.variants) {
+        fields.variants = fields.variants.map(variant => {
+          const match = variant && variant.sku && current.variants.find(v => v.sku === String(variant.sku).toUpperCase());
+          return match ? { ...variant, _id: match._id } : variant;
+        });
+      }
+      product = current;
+      product.set(fields);
+    } else {
+      product = new Product({ ...fields, owner });
+    }
+
+    try {
+      await product.validate();
+    } catch (error) {
+      // Skip fields already reported above (e.g. an unknown category is also missing)
+      rowErrors.push(...validationErrors(error).filter(err => !rowErrors.some(e => e.field === err.field)));
+    }
+
+    if (rowErrors.length > 0) {
+      rowErrors.forEach(error => errors.push({ row, sku, ...error }));
+      results.push({ row, sku, action: 'error' });
+    } else {
+      results.push({ row, sku, action: current ? 'update' : 'create' });
+      toSave.push({ row, sku, product, before });
+    }
+  }
+
+  if (!dryRun) {
+    for (const { row, sku, product, before } of toSave) {
+      try {
+        await product.save();
+        results[row - 1].productId = product._id;
+        if (before && req) {
+          await audit.recordProductUpdate(req, product, before, audit.snapshot(product, audit.PRODUCT_AUDIT_FIELDS));
+        }
+      } catch (error) {
+        results[row - 1].action = 'error';
+        const saveErrors = error.code === 11000
+          ? [{ field: 'sku', message: 'Another product with this SKU was created meanwhile' }]
+          : validationErrors(error);
+        saveErrors.forEach(saveError => errors.push({ row, sku, ...saveError }));
+      }
+    }
+  }
+
+  const count = (action) => results.filter(result => result.action === action).length;
+  return {
+    dryRun: Boolean(dryRun),
+    total: results.length,
+    created: count('create'),
+    updated: count('update'),
+    failed: count('error'),
+    results,
+    errors: errors.sort((a, b) => a.row - b.row)
+  };
+};
+
+const exportVariant = (variant) => ({
+  sku: variant.sku,
+  attributes: variant.attributes || {},
+  price: variant.price,
+  stock: variant.stock,
+  ...(variant.image && { image: variant.image })
+});
+
+// One product as an export row; `category` must be populated with its slug.
+// CSV cells hold tags separated by `|` and variants as a JSON string.
+const exportRow = (product, format) => {
+  const tags = product.tags || [];
+  const variants = (product.variants || []).map(exportVariant);
+
+  return {
+    sku: product.sku || '',
+    name: product.name,
+    description: product.description,
+    price: product.price,
+    category: product.category ? product.category.slug : '',
+    stock: product.stock,
+    discount: product.discount || 0,
+    tags: format === 'csv' ? tags.join('|') : tags,
+    image: product.image || '',
+    isPublic: product.isPublic,
+    variants: format === 'csv' ? (variants.length > 0 ? JSON.stringify(variants) : '') : variants
+  };
+};
+
+// Readable stream of the products matching `filter` in `format` ('csv' or
+// 'json'), read from the database with a cursor so large catalogs are never
+// held in memory
+const exportStream = (filter, format) => {
+  const cursor = Product.find(filter)
+    .select(CATALOG_FIELDS.join(' '))
+    .populate('category', 'slug')
+    .sort({ createdAt: 1, _id: 1 })
+    .lean()
+    .cursor();
+
+  // Write booleans as true/false (csv-stringify defaults to 1 and ''). Seller
+  // text must not run as a spreadsheet formula in an admin's export.
+  const csvOptions = {
+    columns: CATALOG_FIELDS,
+    cast: { boolean: value => String(value), string: escapeCsvFormula }
+  };
+
+  return Readable.from((async function* () {
+    try {
+      // Read the first product before writing anything, so a failing query
+      // can still be answered with an error response
+      let next = await cursor.next();
+
+      yield format === 'csv' ? stringify([], { ...csvOptions, header: true }) : '[';
+      let first = true;
+      while (next) {
+        const row = exportRow(next, format);
+        yield format === 'csv'
+          ? stringify([row], csvOptions)
+          : `${first ? '' : ','}\n${JSON.stringify(row)}`;
+        first = false;
+        next = await cursor.next();
+      }
+      if (format === 'json') yield '\n]\n';
+    } finally {
+      await cursor.close();
+    }
+  })());
+};
+
+module.exports = {
+  CATALOG_FIELDS,
+  IMPORT_MAX_ROWS,
+  parseImportFile,
+  importProducts,
+  exportStream
+};
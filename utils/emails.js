@@ -0,0 +1,81 @@
+// Account emails: templates returning { subject, text, html } and helpers
+// that create the matching token and send it through the mailer.
+const { sendMail } = require('./mailer');
+const { escapeHtml } = require('./text');
+
+const RESET_TOKEN_MINUTES = Number(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 30;
+const VERIFY_TOKEN_HOURS = Number(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+const clientUrl = () => (process.env.CLIENT_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const passwordResetEmail = (user, token, expiresInMinutes) => {
+  const url = `${clientUrl()}/reset-password/${token}`;
+
+  return {
+    subject: 'Reset your VibeCart password',
+    text: `Hi ${user.name},\n\n` +
+      `We received a request to reset your VibeCart password. Open the link below to choose a new one:\n\n${url}\n\n` +
+      `This link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+      'If you did not request a password reset you can ignore this email.',
+    html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+      '<p>We received a request to reset your VibeCart password. Click the link below to choose a new one:</p>' +
+      `<p><a href="${url}">Reset my password</a></p>` +
+      `<p>This link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+      'If you did not request a password reset you can ignore this email.</p>'
+  };
+};
+
+const emailVerificationEmail = (user, token, expiresInHours) => {
+  const url = `${clientUrl()}/verify-email/${token}`;
+
+  return {
+    subject: 'Verify your VibeCart email address',
+    text: `Hi ${user.name},\n\n` +
+      `Please confirm your email address by opening the link below:\n\n${url}\n\n` +
+      `This link expires in ${expiresInHours} hours.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p>` +
+      '<p>Please confirm your email address by clicking the link below:</p>' +
+      `<p><a href="${url}">Verify my email</a></p>` +
+      `<p>This link expires in ${expiresInHours} hours.</p>`
+  };
+};
+
+// Create a password reset token and email it. If the mail cannot be sent the
+// token is discarded again. Resolves to true when the email went out.
+const sendPasswordResetEmail = async (user) => {
+  const token = user.createPasswordResetToken(RESET_TOKEN_MINUTES);
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendMail({ to: user.email, ...passwordResetEmail(user, token, RESET_TOKEN_MINUTES) });
+    return true;
+  } catch (error) {
+    console.error('Password reset email error:', error);
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+    return false;
+  }
+};
+
+// Create a verification token and email it. Mail failures are logged rather
+// than thrown so they never break signup; the user can ask for a resend.
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken(VERIFY_TOKEN_HOURS);
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendMail({ to: user.email, ...emailVerificationEmail(user, token, VERIFY_TOKEN_HOURS) });
+    return true;
+  } catch (error) {
+    console.error('Verification email error:', error);
+    return false;
+  }
+};
+
+module.exports = {
+  passwordResetEmail,
+  emailVerificationEmail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
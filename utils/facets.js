@@ -0,0 +1,266 @@
+// Faceted product search: one aggregation returning a page of results plus
+// counts per facet value.
+//
+// Facet counts are "disjunctive": each facet is counted with every applied
+// filter except its own, so selecting one category still shows how many
+// products the other categories would add.
+
+// Lower bounds of the price buckets; prices at or above the last one fall in
+// an open-ended bucket
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000];
+
+// Products with at most this many units left count as low stock
+const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 5;
+
+const STOCK_STATUSES = {
+  in_stock: { stock: { $gt: LOW_STOCK_THRESHOLD } },
+  low_stock: { stock: { $gt: 0, $lte: LOW_STOCK_THRESHOLD } },
+  out_of_stock: { stock: { $lte: 0 } }
+};
+
+// "& up" rating thresholds
+const RATING_THRESHOLDS = [4, 3, 2, 1];
+
+// Most tags returned in the tags facet
+const MAX_TAG_FACETS = 50;
+
+// Multi-select values: `?category=A,B` or `?category=A&category=B`
+const parseList = (value) => {
+  if (value === undefined) return [];
+  const values = Array.isArray(value) ? value : [value];
+  return [...new Set(values.flatMap(v => String(v).split(',')).map(v => v.trim()).filter(Boolean))];
+};
+
+const parseNumber = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    const error = new Error(`${name} must be a non-negative number`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return number;
+};
+
+// Parse the search query into the selected filters. Throws an error with
+// statusCode 400 for invalid values. Categories are left as sent (ids, slugs
+// or names); set `categoryIds` to the resolved ids, subcategories included,
+// before building the pipeline.
+const parseFilters = (query) => {
+  const filters = {
+    search: query.search ? String(query.search) : undefined,
+    category: parseList(query.category),
+    tags: parseList(query.tags).map(tag => tag.toLowerCase()),
+    stock: parseList(query.stock),
+    minPrice: parseNumber(query.minPrice, 'minPrice'),
+    maxPrice: parseNumber(query.maxPrice, 'maxPrice'),
+    minRating: parseNumber(query.minRating, 'minRating')
+  };
+
+  const unknownStatus = filters.stock.find(status => !STOCK_STATUSES[status]);
+  if (unknownStatus) {
+    const error = new Error(`stock must be a comma separated list of: ${Object.keys(STOCK_STATUSES).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  return filters;
+};
+
+// $match condition per facet for the selected filters (facets without a
+// selection are left out)
+const facetConditions = (filters) => {
+  const conditions = {};
+
+  if (filters.category.length > 0) {
+    conditions.category = { category: { $in: filters.categoryIds || [] } };
+  }
+  if (filters.tags.length > 0) {
+    conditions.tags = { tags: { $in: filters.tags } };
+  }
+  if (filters.stock.length > 0) {
+    conditions.stock = { $or: filters.stock.map(status => STOCK_STATUSES[status]) };
+  }
+  if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+    conditions.price = { price: {} };
+    if (filters.minPrice !== undefined) conditions.price.price.$gte = filters.minPrice;
+    if (filters.maxPrice !== undefined) conditions.price.price.$lte = filters.maxPrice;
+  }
+  if (filters.minRating !== undefined) {
+    conditions.rating = { rating: { $gte: filters.minRating } };
+  }
+
+  return conditions;
+};
+
+// $match stage with every facet condition except `exclude`
+const matchExcept = (conditions, exclude) => {
+  const applied = Object.keys(conditions)
+    .filter(facet => facet !== exclude)
+    .map(facet => conditions[facet]);
+  return { $match: applied.length > 0 ? { $and: applied } : {} };
+};
+
+// Aggregation pipeline for one page of results and all facet counts.
+// `sort` is a Mongo sort object (a `score: { $meta: 'textScore' }` sort is
+// supported); `baseFilter` applies to everything (e.g. only public products).
+const buildPipeline = (filters, { baseFilter, sort, skip, limit, project }) => {
+  const conditions = facetConditions(filters);
+  const base = { ...baseFilter };
+  // $text must be part of the first $match of the pipeline
+  if (filters.search) base.$text = { $search: filters.search };
+
+  // Text score sort: keep the score as a field the $facet stages can sort on
+  const byRelevance = Boolean(filters.search && sort.score && sort.score.$meta);
+  const resultSort = byRelevance ? { score: -1, _id: -1 } : sort;
+
+  const results = [matchExcept(conditions), { $sort: resultSort }, { $skip: skip }, { $limit: limit }];
+  if (project) results.push({ $project: project });
+
+  return [
+    { $match: base },
+    ...(byRelevance ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+    {
+      $facet: {
+        results,
+        total: [matchExcept(conditions), { $count: 'count' }],
+        category: [
+          matchExcept(conditions, 'category'),
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        tags: [
+          matchExcept(conditions, 'tags'),
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: MAX_TAG_FACETS }
+        ],
+        price: [
+          matchExcept(conditions, 'price'),
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BUCKETS,
+              default: PRICE_BUCKETS[PRICE_BUCKETS.length - 1],
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        stock: [
+          matchExcept(conditions, 'stock'),
+          {
+            $group: {
+              _id: {
+                $switch: {
+                  branches: [
+                    { case: { $gt: ['$stock', LOW_STOCK_THRESHOLD] }, then: 'in_stock' },
+                    { case: { $gt: ['$stock', 0] }, then: 'low_stock' }
+                  ],
+                  default: 'out_of_stock'
+                }
+              },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        rating: [
+          matchExcept(conditions, 'rating'),
+          {
+            $group: RATING_THRESHOLDS.reduce((group, min) => ({
+              ...group,
+              [`min${min}`]: { $sum: { $cond: [{ $gte: ['$rating', min] }, 1, 0] } }
+            }), { _id: null })
+          }
+        ]
+      }
+    }
+  ];
+};
+
+// Category counts rolled up the tree: a product in "Phones" also counts for
+// "Electronics". `categories` lists the categories to look names and
+// ancestors up in ({ _id, name, slug, parent, ancestors }).
+const categoryFacet = (buckets, categories, selected) => {
+  const counts = new Map();
+  const byId = new Map(categories.map(category => [String(category._id), category]));
+
+  buckets.forEach(bucket => {
+    const category = byId.get(String(bucket._id));
+    if (!category) return;
+    [...category.ancestors, category._id].forEach(id => {
+      counts.set(String(id), (counts.get(String(id)) || 0) + bucket.count);
+    });
+  });
+  selected.forEach(id => {
+    if (!counts.has(String(id))) counts.set(String(id), 0);
+  });
+
+  return [...counts]
+    .filter(([id]) => byId.has(id))
+    .map(([id, count]) => {
+      const category = byId.get(id);
+      return {
+        value: category._id,
+        name: category.name,
+        slug: category.slug,
+        parent: category.parent,
+        count,
+        selected: selected.some(selectedId => String(selectedId) === id)
+      };
+    })
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+};
+
+// Turn the raw $facet output into the response shape. Selected values are
+// always listed, with a count of 0 when nothing matches them. `categories` and
+// `selectedCategories` are described at categoryFacet.
+const formatFacets = (raw, filters, { categories = [], selectedCategories = [] } = {}) => {
+  const valueFacet = (buckets, selected) => {
+    const values = buckets.map(bucket => ({
+      value: bucket._id,
+      count: bucket.count,
+      selected: selected.includes(bucket._id)
+    }));
+    selected
+      .filter(value => !values.some(entry => entry.value === value))
+      .forEach(value => values.push({ value, count: 0, selected: true }));
+    return values;
+  };
+
+  const priceCounts = new Map(raw.price.map(bucket => [bucket._id, bucket.count]));
+  const price = PRICE_BUCKETS.map((min, index) => ({
+    min,
+    max: index + 1 < PRICE_BUCKETS.length ? PRICE_BUCKETS[index + 1] : null,
+    count: priceCounts.get(min) || 0
+  }));
+
+  const stockCounts = new Map(raw.stock.map(bucket => [bucket._id, bucket.count]));
+  const ratingCounts = raw.rating[0] || {};
+
+  return {
+    category: categoryFacet(raw.category, categories, selectedCategories),
+    tags: valueFacet(raw.tags, filters.tags),
+    price,
+    stock: Object.keys(STOCK_STATUSES).map(status => ({
+      value: status,
+      count: stockCounts.get(status) || 0,
+      selected: filters.stock.includes(status)
+    })),
+    rating: RATING_THRESHOLDS.map(min => ({
+      min,
+      count: ratingCounts[`min${min}`] || 0,
+      selected: filters.minRating === min
+    }))
+  };
+};
+
+module.exports = {
+  PRICE_BUCKETS,
+  LOW_STOCK_THRESHOLD,
+  STOCK_STATUSES,
+  parseList,
+  parseFilters,
+  buildPipeline,
+  formatFacets
+};
@@ -0,0 +1,60 @@
+// Helpers for the product image gallery (Product.imagesData).
+
+const MAX_GALLERY_IMAGES = 10;
+
+// Fields to select when a `fields=` projection asks for the gallery
+const GALLERY_FIELDS = ['images', 'imageData', 'imagesData', 'primaryImage'];
+
+const imageUrl = (productId, imageId) => `/api/products/${productId}/images/${imageId}`;
+
+// The primary gallery image: the chosen one if it still exists, else the first
+const primaryImageOf = (product) => {
+  const images = product.imagesData || [];
+  if (product.primaryImage) {
+    const primary = images.find(img => img._id.toString() === product.primaryImage.toString());
+    if (primary) return primary;
+  }
+  return images[0] || null;
+};
+
+// Replace the stored image metadata (storage keys and sizes) and the legacy
+// `images` URL array on a plain product object with URLs:
+//   imageUrl         main image, or null when none was uploaded
+//   gallery          stored images, in order, then legacy image URLs:
+//     [{ _id, url, thumbnailUrl, filename, contentType, media, isPrimary }]
+//     [{ url, external: true }]
+//   primaryImageUrl  primary gallery image, or null
+const withGallery = (product) => {
+  if (product.imageData !== undefined) {
+    product.imageUrl = product.imageData && product.imageData.key ? `/api/products/${product._id}/image` : null;
+    delete product.imageData;
+  }
+
+  if (product.imagesData === undefined && product.images === undefined) return product;
+
+  const primary = primaryImageOf(product);
+  const stored = (product.imagesData || []).map(img => ({
+    _id: img._id,
+    url: imageUrl(product._id, img._id),
+    thumbnailUrl: `${imageUrl(product._id, img._id)}?size=thumbnail`,
+    filename: img.filename,
+    contentType: img.contentType,
+    media: img.media || null,
+    isPrimary: Boolean(primary && primary._id.toString() === img._id.toString())
+  }));
+  const external = (product.images || []).map(url => ({ url, external: true }));
+
+  product.gallery = [...stored, ...external];
+  product.primaryImageUrl = primary ? imageUrl(product._id, primary._id) : null;
+  delete product.imagesData;
+  delete product.images;
+  return product;
+};
+
+module.exports = {
+  MAX_GALLERY_IMAGES,
+  GALLERY_FIELDS,
+  imageUrl,
+  primaryImageOf,
+  withGallery
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// Pluggable storage for image bytes. Product documents only keep a key per
+// stored file (see storedImage in models/Product.js). Pick a backend with
+// IMAGE_STORAGE:
+//   gridfs - MongoDB GridFS bucket IMAGE_GRIDFS_BUCKET (default productImages)
+//   disk   - files in IMAGE_STORAGE_DIR (default ./storage/images)
+// Every backend exposes:
+//   save(buffer, { filename, contentType })  resolves to the file key
+//   createReadStream(key, { start, end })    readable stream; `end` is inclusive
+//   remove(key)                              resolves once the file is gone
+
+const gridfsStorage = () => {
+  const bucketName = process.env.IMAGE_GRIDFS_BUCKET || 'productImages';
+  let bucket = null;
+
+  // Created on first use: the database handle only exists once connected
+  const getBucket = () => {
+    if (!bucket) {
+      bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+    }
+    return bucket;
+  };
+
+  return {
+    name: 'gridfs',
+    save: (buffer, { filename, contentType } = {}) => new Promise((resolve, reject) => {
+      const upload = getBucket().openUploadStream(filename || 'image', { metadata: { contentType } });
+      upload.once('error', reject);
+      upload.once('finish', () => resolve(upload.id.toString()));
+      upload.end(buffer);
+    }),
+    createReadStream: (key, { start, end } = {}) => {
+      const options = {};
+      if (start !== undefined) options.start = start;
+      // GridFS treats `end` as exclusive
+      if (end !== undefined) options.end = end + 1;
+      return getBucket().openDownloadStream(new mongoose.Types.ObjectId(key), options);
+    },
+    remove: async (key) => {
+      try {
+        await getBucket().delete(new mongoose.Types.ObjectId(key));
+      } catch (error) {
+        // Already gone
+        if (!/FileNotFound|not found/i.test(error.message)) throw error;
+      }
+    }
+  };
+};
+
+const diskStorage = () => {
+  const storageDir = path.resolve(process.env.IMAGE_STORAGE_DIR || path.join(__dirname, '..', 'storage', 'images'));
+
+  // Keys are generated here; refuse anything else so a key can never point
+  // outside the storage directory
+  const fileFor = (key) => {
+    if (!/^[a-f0-9]{32}$/.test(key)) {
+      throw new Error(`Invalid image key "${key}"`);
+    }
+    return path.join(storageDir, key);
+  };
+
+  return {
+    name: 'disk',
+    save: async (buffer) => {
+      await fs.promises.mkdir(storageDir, { recursive: true });
+      const key = crypto.randomBytes(16).toString('hex');
+      await fs.promises.writeFile(fileFor(key), buffer);
+      return key;
+    },
+    createReadStream: (key, { start, end } = {}) => fs.createReadStream(fileFor(key), { start, end }),
+    remove: async (key) => {
+      try {
+        await fs.promises.unlink(fileFor(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+const backends = {
+  gridfs: gridfsStorage,
+  disk: diskStorage
+};
+
+const instances = {};
+
+// Backend by name, created once. Without a name, the configured one.
+const getStorage = (name = process.env.IMAGE_STORAGE || 'gridfs') => {
+  if (!instances[name]) {
+    if (!backends[name]) {
+      throw new Error(`Unknown IMAGE_STORAGE "${name}". Use one of: ${Object.keys(backends).join(', ')}`);
+    }
+    instances[name] = backends[name]();
+  }
+  return instances[name];
+};
+
+// Swap a backend at runtime (e.g. a custom backend in scripts)
+const setStorage = (name, custom) => {
+  instances[name] = custom;
+};
+
+module.exports = { getStorage, setStorage, backends };
@@ -0,0 +1,269 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./imageStorage');
+
+// Widths (px) of the copies generated for every uploaded product image.
+// Smaller originals are never enlarged.
+const IMAGE_SIZES = {
+  thumbnail: 150,
+  card: 400,
+  full: 1200
+};
+
+// Size served when the request does not ask for one
+const DEFAULT_IMAGE_SIZE = 'full';
+
+// Cache-Control max-age (seconds) for images whose URL can be reused for a new
+// image, e.g. /api/products/:id/image after the product image is replaced
+const IMAGE_CACHE_MAX_AGE = Number(process.env.IMAGE_CACHE_MAX_AGE) || 3600;
+
+// Largest accepted upload, in pixels (width x height x frames). Decoding cost
+// grows with the pixel count, not the file size.
+const MAX_IMAGE_PIXELS = Number(process.env.MAX_IMAGE_PIXELS) || 40000000;
+
+// Accepted formats, recognised by their leading (magic) bytes. `encode` are
+// the sharp options used when re-encoding the sanitised copy.
+const IMAGE_TYPES = [
+  {
+    format: 'jpeg',
+    contentType: 'image/jpeg',
+    matches: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+    encode: { quality: 90, mozjpeg: true }
+  },
+  {
+    format: 'png',
+    contentType: 'image/png',
+    matches: (b) => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    encode: {}
+  },
+  {
+    format: 'gif',
+    contentType: 'image/gif',
+    matches: (b) => b.length > 6 && ['GIF87a', 'GIF89a'].includes(b.toString('latin1', 0, 6)),
+    encode: {}
+  },
+  {
+    format: 'webp',
+    contentType: 'image/webp',
+    matches: (b) => b.length > 12 && b.toString('latin1', 0, 4) === 'RIFF' && b.toString('latin1', 8, 12) === 'WEBP',
+    encode: { quality: 90 }
+  }
+];
+
+// Image type of a buffer from its magic bytes, or null
+const detectImageType = (buffer) => IMAGE_TYPES.find(type => type.matches(buffer)) || null;
+
+// Check that a buffer really is an image and return a sanitised copy:
+// recognised by magic bytes, within MAX_IMAGE_PIXELS and fully decodable.
+// The copy is re-encoded in the same format with the EXIF orientation applied
+// and all metadata (EXIF incl. GPS, XMP, comments) removed.
+// Resolves to { buffer, contentType, format, width, height }; rejects with a
+// message suitable for the client otherwise.
+const sanitizeImage = async (buffer) => {
+  const type = detectImageType(buffer);
+  if (!type) {
+    throw new Error(`File is not a supported image (${IMAGE_TYPES.map(t => t.format).join(', ')})`);
+  }
+
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new Error('File is not a valid image');
+  }
+
+  const frames = metadata.pages || 1;
+  if (metadata.width * metadata.height * frames > MAX_IMAGE_PIXELS) {
+    throw new Error(`Image is too large (${metadata.width}x${metadata.height}${frames > 1 ? ` x ${frames} frames` : ''}). The limit is ${MAX_IMAGE_PIXELS} pixels`);
+  }
+
+  try {
+    let pipeline = sharp(buffer, { animated: frames > 1 });
+    if (frames === 1) pipeline = pipeline.rotate();
+
+    // Decoding the whole image rejects truncated or corrupt files; sharp
+    // writes no metadata unless asked to
+    const { data, info } = await pipeline
+      .toFormat(type.format, type.encode)
+      .toBuffer({ resolveWithObject: true });
+
+    return {
+      buffer: data,
+      contentType: type.contentType,
+      format: type.format,
+      width: info.width,
+      height: info.pageHeight || info.height
+    };
+  } catch (error) {
+    throw new Error('File is not a valid image');
+  }
+};
+
+const hashBuffer = (buffer) => crypto.createHash('sha1').update(buffer).digest('hex');
+
+// Validate the `size` query parameter: one of IMAGE_SIZES or 'original'.
+// Returns null for anything else.
+const parseSize = (value) => {
+  if (value === undefined || value === '') return DEFAULT_IMAGE_SIZE;
+  if (value === 'original' || Object.prototype.hasOwnProperty.call(IMAGE_SIZES, value)) return value;
+  return null;
+};
+
+// Whether a stored image has a generated copy of `size`. Images whose resizing
+// failed during migration only have the original.
+const hasSize = (image, size) => Boolean(
+  size !== 'original' && image.sizes && image.sizes[size] && image.sizes[size].key
+);
+
+// Resize an image buffer to one WebP copy per entry of IMAGE_SIZES
+const resizeImage = async (buffer, filename) => {
+  const resized = {};
+
+  for (const [name, width] of Object.entries(IMAGE_SIZES)) {
+    try {
+      resized[name] = await sharp(buffer)
+        .rotate() // apply EXIF orientation before resizing
+        .resize({ width, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer();
+    } catch (error) {
+      throw new Error(`Could not process image ${filename}: ${error.message}`);
+    }
+  }
+
+  return resized;
+};
+
+// Delete every file of a stored image. Failures are logged, never thrown, so
+// a storage hiccup cannot fail the request that replaced or deleted the image.
+const removeImage = async (image) => {
+  if (!image || !image.key) return;
+
+  const storage = getStorage(image.storage);
+  const keys = [image.key, ...Object.keys(IMAGE_SIZES)
+    .filter(size => hasSize(image, size))
+    .map(size => image.sizes[size].key)];
+
+  await Promise.all(keys.map(key => storage.remove(key).catch(error => {
+    console.error(`Failed to remove image file ${key}:`, error.message);
+  })));
+};
+
+// Write an uploaded file (multer memory storage) to image storage: the
+// original plus one WebP copy per entry of IMAGE_SIZES. Resolves to the object
+// stored on the product.
+// Options:
+//   resize      generate the resized copies (default true)
+//   storage     backend name (default IMAGE_STORAGE)
+//   uploadedAt  keep an existing upload date (migrations)
+const storeImage = async (file, options = {}) => {
+  const resized = options.resize === false ? {} : await resizeImage(file.buffer, file.originalname);
+  const storage = getStorage(options.storage);
+  const image = {
+    storage: storage.name,
+    contentType: file.mimetype,
+    filename: file.originalname,
+    size: file.buffer.length,
+    sizes: {},
+    hash: hashBuffer(file.buffer),
+    uploadedAt: options.uploadedAt || new Date()
+  };
+
+  try {
+    image.key = await storage.save(file.buffer, { filename: file.originalname, contentType: file.mimetype });
+    for (const [name, data] of Object.entries(resized)) {
+      image.sizes[name] = {
+        key: await storage.save(data, { filename: `${name}-${file.originalname}`, contentType: 'image/webp' }),
+        contentType: 'image/webp',
+        size: data.length
+      };
+    }
+  } catch (error) {
+    // Do not leave half an image behind
+    await removeImage(image);
+    throw error;
+  }
+
+  return image;
+};
+
+// Stream one size of a stored image with caching headers. Answers 304 when
+// the client's copy is still current and 206 for a satisfiable Range request.
+// Options:
+//   immutable     the URL always points to the same image (gallery images)
+//   lastModified  fallback Last-Modified for images without `uploadedAt`
+const sendImage = (req, res, image, size, options = {}) => {
+  const resized = hasSize(image, size);
+  const served = resized ? image.sizes[size] : image;
+  const servedSize = resized ? size : 'original';
+
+  const etag = `"${image.hash}-${servedSize}"`;
+  const lastModified = image.uploadedAt || options.lastModified;
+
+  res.set({
+    'Content-Type': served.contentType || 'application/octet-stream',
+    'Cache-Control': options.immutable
+      ? 'public, max-age=31536000, immutable'
+      : `public, max-age=${IMAGE_CACHE_MAX_AGE}`,
+    'Accept-Ranges': 'bytes',
+    ETag: etag
+  });
+  if (lastModified) res.set('Last-Modified', new Date(lastModified).toUTCString());
+
+  // Compares If-None-Match / If-Modified-Since with the headers set above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  let start = 0;
+  let end = served.size - 1;
+
+  // If-Range: only honour the Range when the client's copy is this one
+  const ifRange = req.get('If-Range');
+  const ranges = req.get('Range') && (!ifRange || ifRange === etag) ? req.range(served.size) : undefined;
+
+  if (ranges === -1) {
+    res.set('Content-Range', `bytes */${served.size}`);
+    return res.status(416).end();
+  }
+
+  // Malformed (-2) or multiple ranges: send the whole image
+  if (Array.isArray(ranges) && ranges.length === 1) {
+    ({ start, end } = ranges[0]);
+    res.status(206);
+    res.set('Content-Range', `bytes ${start}-${end}/${served.size}`);
+  }
+
+  res.set('Content-Length', String(end - start + 1));
+  if (req.method === 'HEAD' || served.size === 0) {
+    return res.end();
+  }
+
+  const stream = getStorage(image.storage).createReadStream(served.key, { start, end });
+  stream.once('error', (error) => {
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    ['Content-Type', 'Content-Length', 'Content-Range', 'Accept-Ranges', 'Cache-Control', 'ETag', 'Last-Modified']
+      .forEach(header => res.removeHeader(header));
+    res.status(404).json({ success: false, message: 'Image not found' });
+  });
+  // Stop reading when the client goes away
+  res.once('close', () => stream.destroy());
+  return stream.pipe(res);
+};
+
+module.exports = {
+  IMAGE_SIZES,
+  DEFAULT_IMAGE_SIZE,
+  IMAGE_CACHE_MAX_AGE,
+  MAX_IMAGE_PIXELS,
+  detectImageType,
+  sanitizeImage,
+  parseSize,
+  hasSize,
+  storeImage,
+  removeImage,
+  sendImage
+};
@@ -0,0 +1,67 @@
+const { getStore } = require('./rateLimitStore');
+
+// Temporary login lockout after repeated failures. Failures are counted per
+// normalised email in the rate limit store, whether or not an account exists
+// for it, so responses never reveal which emails are registered. Once
+// LOGIN_LOCK_THRESHOLD logins in a row have failed the email is locked for
+// LOGIN_LOCK_BASE_MINUTES, and the lock doubles with every further failure
+// (up to LOGIN_LOCK_MAX_MINUTES). Failures are forgotten after
+// LOGIN_LOCK_RESET_HOURS, or at the next successful login or password reset.
+
+const LOGIN_LOCK_THRESHOLD = Number(process.env.LOGIN_LOCK_THRESHOLD) || 5;
+const LOGIN_LOCK_BASE_MINUTES = Number(process.env.LOGIN_LOCK_BASE_MINUTES) || 1;
+const LOGIN_LOCK_MAX_MINUTES = Number(process.env.LOGIN_LOCK_MAX_MINUTES) || 60;
+const LOGIN_LOCK_RESET_HOURS = Number(process.env.LOGIN_LOCK_RESET_HOURS) || 24;
+
+const failuresKey = (email) => `login-failures:${email}`;
+const lockKey = (email) => `login-lock:${email}`;
+
+// Lock length in milliseconds after `failures` failed logins in a row
+const lockDuration = (failures) => {
+  if (failures < LOGIN_LOCK_THRESHOLD) return 0;
+  const minutes = LOGIN_LOCK_BASE_MINUTES * 2 ** (failures - LOGIN_LOCK_THRESHOLD);
+  return Math.min(minutes, LOGIN_LOCK_MAX_MINUTES) * 60 * 1000;
+};
+
+// End of the current lock for `email`, or null when it is not locked.
+// A store outage never locks anyone out.
+const lockedUntil = async (email) => {
+  try {
+    const lock = await getStore().get(lockKey(email));
+    return lock ? new Date(lock.resetAt) : null;
+  } catch (error) {
+    console.error('Login lockout store error:', error.message);
+    return null;
+  }
+};
+
+// Count a failed login for `email`. Resolves to the end of the lock it
+// started, or null when the threshold has not been reached.
+const registerFailure = async (email) => {
+  try {
+    const store = getStore();
+    const { count } = await store.increment(failuresKey(email), LOGIN_LOCK_RESET_HOURS * 60 * 60 * 1000);
+    const duration = lockDuration(count);
+    if (duration === 0) return null;
+
+    // A fresh window per lock, so each lock gets its own (longer) length
+    await store.reset(lockKey(email));
+    const lock = await store.increment(lockKey(email), duration);
+    return new Date(lock.resetAt);
+  } catch (error) {
+    console.error('Login lockout store error:', error.message);
+    return null;
+  }
+};
+
+// Forget failures and any lock for `email`
+const clear = async (email) => {
+  try {
+    const store = getStore();
+    await Promise.all([store.reset(failuresKey(email)), store.reset(lockKey(email))]);
+  } catch (error) {
+    console.error('Login lockout store error:', error.message);
+  }
+};
+
+module.exports = { lockDuration, lockedUntil, registerFailure, clear };
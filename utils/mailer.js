@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+
+// Pluggable mail delivery. Pick a transport with MAIL_TRANSPORT:
+//   smtp    - deliver through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+//   console - print messages to stdout (default outside production)
+//   file    - write messages as JSON files to MAIL_OUTBOX_DIR (default ./outbox)
+// Every transport exposes `send(message)` returning a promise.
+
+const smtpTransport = () => {
+  // Required lazily so nodemailer is only loaded when SMTP is actually used
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: (message) => transporter.sendMail(message)
+  };
+};
+
+const consoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('\n📧 Email (console transport)');
+    console.log(`   To: ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log(`\n${message.text}\n`);
+  }
+});
+
+const fileTransport = () => {
+  const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox'));
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const filename = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+      const file = path.join(outboxDir, filename);
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, date: new Date().toISOString() }, null, 2));
+      return { file };
+    }
+  };
+};
+
+const transports = {
+  smtp: smtpTransport,
+  console: consoleTransport,
+  file: fileTransport
+};
+
+let transport = null;
+
+// Resolve the configured transport once, on first use
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+    }
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+// Send an email: { to, subject, text, html }
+const sendMail = async (message) => {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || 'VibeCart <no-reply@vibecart.local>',
+    ...message
+  });
+};
+
+// Swap the transport at runtime (e.g. a custom transport in scripts)
+const setTransport = (custom) => {
+  transport = custom;
+};
+
+module.exports = { sendMail, setTransport, transports };
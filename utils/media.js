@@ -0,0 +1,78 @@
+const Media = require('../models/Media');
+const images = require('./images');
+
+// Storage each user may fill with media (originals plus resized copies)
+const MEDIA_QUOTA_MB = Number(process.env.MEDIA_QUOTA_MB) || 100;
+const MEDIA_QUOTA_BYTES = MEDIA_QUOTA_MB * 1024 * 1024;
+
+// Bytes a stored image takes in storage
+const storedBytes = (image) => image.size +
+  Object.values(image.sizes || {}).reduce((sum, file) => sum + file.size, 0);
+
+// A user's quota: { used, limit, remaining, count } (bytes)
+const quotaFor = async (userId) => {
+  const usage = await Media.usageFor(userId);
+  return {
+    used: usage.bytes,
+    limit: MEDIA_QUOTA_BYTES,
+    remaining: Math.max(MEDIA_QUOTA_BYTES - usage.bytes, 0),
+    count: usage.count
+  };
+};
+
+const quotaError = (quota) => {
+  const error = new Error(`Media quota exceeded: ${quota.used} of ${quota.limit} bytes used`);
+  error.statusCode = 413;
+  error.quota = quota;
+  return error;
+};
+
+// Store uploaded files (multer memory storage, already sanitised) in the
+// user's media library. Rejects with statusCode 413 when they do not fit in
+// the quota; nothing is kept in that case.
+const createMedia = async (files, userId) => {
+  // Quick check on the originals before doing any work
+  const quota = await quotaFor(userId);
+  const incoming = files.reduce((sum, file) => sum + file.buffer.length, 0);
+  if (incoming > quota.remaining) {
+    throw quotaError(quota);
+  }
+
+  const stored = [];
+  let created = [];
+
+  try {
+    for (const file of files) {
+      const image = await images.storeImage(file);
+      stored.push(image);
+      created.push({ owner: userId, ...image, width: file.width, height: file.height, bytes: storedBytes(image) });
+    }
+    created = await Media.insertMany(created);
+
+    // Re-check with the resized copies counted: concurrent uploads may have
+    // passed the quick check at the same time
+    const after = await quotaFor(userId);
+    if (after.used > after.limit) {
+      await Media.deleteMany({ _id: { $in: created.map(media => media._id) } });
+      throw quotaError(after);
+    }
+
+    return created;
+  } catch (error) {
+    await Promise.all(stored.map(images.removeImage));
+    throw error;
+  }
+};
+
+// Gallery entry for a product, sharing the media item's files
+const toGalleryImage = (media) => {
+  const { storage, key, contentType, filename, size, sizes, hash, uploadedAt } = media.toObject();
+  return { storage, key, contentType, filename, size, sizes, hash, uploadedAt, media: media._id };
+};
+
+module.exports = {
+  MEDIA_QUOTA_BYTES,
+  quotaFor,
+  createMedia,
+  toGalleryImage
+};
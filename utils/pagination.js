@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Parse `limit` from the query string, clamped to [1, MAX_PAGE_SIZE]
+const parseLimit = (value, defaultLimit = DEFAULT_PAGE_SIZE) => {
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit) || limit < 1) return defaultLimit;
+  return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+// Parse a 1-based `page` from the query string
+const parsePage = (value) => {
+  const page = parseInt(value, 10);
+  return Number.isNaN(page) || page < 1 ? 1 : page;
+};
+
+// Make sure the sort always ends with _id so equal values keep a stable order
+const withTieBreaker = (sort) => {
+  if (sort._id !== undefined) return sort;
+  const direction = Object.values(sort)[0] || -1;
+  return { ...sort, _id: direction };
+};
+
+// Serialise a value so it survives the JSON round trip (dates and ObjectIds)
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value;
+};
+
+// Decode one cursor value. Cursors come from the client and their values are
+// written into query filters, so only plain values (strings, finite numbers,
+// booleans, null) and well-formed { $date } / { $oid } are accepted; anything
+// else (e.g. an operator object like { $ne: null }) throws
+const decodeValue = (value) => {
+  if (value === null || typeof value === 'string' || typeof value === 'boolean') return value;
+  if (typeof value === 'number' && Number.isFinite(value)) return value;
+
+  if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 1) {
+    if (typeof value.$date === 'string') {
+      const date = new Date(value.$date);
+      if (!Number.isNaN(date.getTime())) return date;
+    }
+    if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+  }
+
+  throw new Error('Invalid cursor');
+};
+
+// Build an opaque cursor pointing just after `doc` for the given sort
+const encodeCursor = (doc, sort) => {
+  const values = Object.keys(sort).map(key => encodeValue(doc[key]));
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+// Decode a cursor back into its sort values; throws on a malformed cursor
+const decodeCursor = (cursor, sort) => {
+  const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  if (!Array.isArray(values) || values.length !== Object.keys(sort).length) {
+    throw new Error('Invalid cursor');
+  }
+  return values.map(decodeValue);
+};
+
+// Build a filter matching only documents that sort after the cursor position.
+// For sort { a: 1, _id: 1 } and values [x, id] this produces:
+//   { $or: [{ a: { $gt: x } }, { a: x, _id: { $gt: id } }] }
+const cursorFilter = (values, sort) => {
+  const keys = Object.keys(sort);
+
+  const branches = keys.map((key, index) => {
+    const branch = {};
+    for (let i = 0; i < index; i++) {
+      branch[keys[i]] = values[i];
+    }
+    branch[key] = { [sort[key] === 1 ? '$gt' : '$lt']: values[index] };
+    return branch;
+  });
+
+  return { $or: branches };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  parseLimit,
+  parsePage,
+  withTieBreaker,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter
+};
@@ -0,0 +1,82 @@
+const Product = require('../models/Product');
+const Review = require('../models/Review');
+const ProductEvent = require('../models/ProductEvent');
+const images = require('./images');
+const audit = require('./audit');
+
+// Product trash. Deleting a product only moves it to the trash (see
+// Product#softDelete), where its owner can restore it. Trashed products are
+// purged for good once they have been there PRODUCT_TRASH_RETENTION_DAYS.
+
+const TRASH_RETENTION_DAYS = Number(process.env.PRODUCT_TRASH_RETENTION_DAYS) || 30;
+// How often the server looks for products to purge
+const PURGE_INTERVAL_MINUTES = Number(process.env.PRODUCT_TRASH_PURGE_INTERVAL_MINUTES) || 60;
+
+const RETENTION_MS = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// When a trashed product will be purged
+const purgeAt = (product) => new Date(new Date(product.deletedAt).getTime() + RETENTION_MS);
+
+// Delete a product for good, with its reviews, tracking events and stored
+// images, and record a product.purge audit entry with no actor. Files of
+// attached media stay with the media library item. Carts still holding the
+// product show the line as unavailable.
+const purgeProduct = async (product) => {
+  await product.deleteOne();
+  await audit.record(null, {
+    action: 'product.purge',
+    target: audit.productTarget(product),
+    changes: [{ field: 'deletedAt', before: product.deletedAt, after: null }]
+  });
+  await Promise.all([
+    Review.deleteMany({ product: product._id }),
+    ProductEvent.deleteMany({ product: product._id })
+  ]);
+  await Promise.all([product.imageData, ...product.imagesData.filter(img => !img.media)].map(images.removeImage));
+};
+
+// Purge every product trashed longer than the retention period. Resolves to
+// the number of products purged; one failing product does not stop the rest.
+const purgeExpired = async () => {
+  const cutoff = new Date(Date.now() - RETENTION_MS);
+  const cursor = Product.find({ deletedAt: { $lte: cutoff } }).cursor();
+  let purged = 0;
+
+  try {
+    for await (const product of cursor) {
+      try {
+        await purgeProduct(product);
+        purged += 1;
+      } catch (error) {
+        console.error(`Error purging product ${product._id}:`, error.message);
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  return purged;
+};
+
+// Run purgeExpired now and then every PURGE_INTERVAL_MINUTES. The timer does
+// not keep the process alive. Returns the timer so it can be cleared.
+const schedulePurge = () => {
+  const run = () => purgeExpired()
+    .then(purged => {
+      if (purged > 0) console.log(`🗑️  Purged ${purged} product(s) from the trash`);
+    })
+    .catch(error => console.error('Trash purge error:', error.message));
+
+  run();
+  const timer = setInterval(run, PURGE_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  purgeAt,
+  purgeProduct,
+  purgeExpired,
+  schedulePurge
+};
@@ -0,0 +1,114 @@
+// Pluggable counter storage for rate limiting. Pick a store with
+// RATE_LIMIT_STORE:
+//   memory - counters in this process (default; fine for a single node)
+//   mongo  - counters in the RateLimit collection, shared by every node
+// Every store exposes:
+//   increment(key, windowMs)  resolves to { count, resetAt } for the current
+//                             fixed window, starting a new one if it expired
+//   get(key)                  resolves to { count, resetAt } of the current
+//                             window, or null when there is none
+//   reset(key)                resolves once the counter is gone
+
+const memoryStore = () => {
+  const windows = new Map();
+
+  // Drop finished windows now and then so the map does not grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) windows.delete(key);
+    });
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+    get: async (key) => {
+      const entry = windows.get(key);
+      if (!entry || entry.resetAt <= Date.now()) return null;
+      return { count: entry.count, resetAt: new Date(entry.resetAt) };
+    },
+    reset: async (key) => {
+      windows.delete(key);
+    }
+  };
+};
+
+const mongoStore = () => {
+  // Required lazily so the model is only registered when this store is used
+  const RateLimit = require('../models/RateLimit');
+
+  // One atomic update: count up inside the current window, or start a new
+  // window when there is none or it has ended
+  const bump = (key, windowMs) => {
+    const now = new Date();
+    const active = { $gt: ['$resetAt', now] };
+    return RateLimit.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [active, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [active, '$resetAt', new Date(now.getTime() + windowMs)] }
+        }
+      }],
+      { upsert: true, new: true }
+    ).lean();
+  };
+
+  return {
+    name: 'mongo',
+    increment: async (key, windowMs) => {
+      let entry;
+      try {
+        entry = await bump(key, windowMs);
+      } catch (error) {
+        // Two first requests raced to create the counter: the other one won
+        if (error.code !== 11000) throw error;
+        entry = await bump(key, windowMs);
+      }
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+    get: async (key) => {
+      const entry = await RateLimit.findOne({ key, resetAt: { $gt: new Date() } }).lean();
+      return entry ? { count: entry.count, resetAt: entry.resetAt } : null;
+    },
+    reset: async (key) => {
+      await RateLimit.deleteOne({ key });
+    }
+  };
+};
+
+const stores = {
+  memory: memoryStore,
+  mongo: mongoStore
+};
+
+const instances = {};
+
+// Store by name, created on first use
+const getStore = (name = process.env.RATE_LIMIT_STORE || 'memory') => {
+  if (!instances[name]) {
+    if (!stores[name]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Use one of: ${Object.keys(stores).join(', ')}`);
+    }
+    instances[name] = stores[name]();
+  }
+  return instances[name];
+};
+
+// Swap a store at runtime (e.g. a Redis-backed store)
+const setStore = (name, custom) => {
+  instances[name] = custom;
+};
+
+module.exports = { getStore, setStore, stores };
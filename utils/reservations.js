@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const Reservation = require('../models/Reservation');
+
+// How long an add-to-cart holds stock for
+const RESERVATION_TTL_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES) || 15;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+// Key used to look up holds for a product or one of its variants
+const holdKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+// Total quantity currently held for a product/variant, optionally ignoring
+// the holds of one cart
+const heldQuantity = async (productId, variantId, excludeCartId) => {
+  const match = {
+    product: toObjectId(productId),
+    variant: variantId ? toObjectId(variantId) : null,
+    expiresAt: { $gt: new Date() }
+  };
+  if (excludeCartId) match.cart = { $ne: toObjectId(excludeCartId) };
+
+  const [result] = await Reservation.aggregate([
+    { $match: match },
+    { $group: { _id: null, total: { $sum: '$quantity' } } }
+  ]);
+  return result ? result.total : 0;
+};
+
+// Stock a cart can still claim: stock minus everyone else's active holds
+const availableStock = async (product, variant, excludeCartId) => {
+  const held = await heldQuantity(product._id, variant ? variant._id : null, excludeCartId);
+  return Math.max(product.stockFor(variant) - held, 0);
+};
+
+// Release the hold for one cart line
+const release = (cartId, productId, variantId) => {
+  return Reservation.deleteOne({ cart: cartId, product: productId, variant: variantId || null });
+};
+
+// Release every hold of a cart (cleared or checked out)
+const releaseCart = (cartId) => {
+  return Reservation.deleteMany({ cart: cartId });
+};
+
+// Hold `quantity` units of a product/variant for a cart line, replacing any
+// previous hold for that line and restarting its TTL.
+// Resolves to { ok: true } or { ok: false, available }.
+const hold = async (cartId, product, variant, quantity) => {
+  const variantId = variant ? variant._id : null;
+
+  if (quantity <= 0) {
+    await release(cartId, product._id, variantId);
+    return { ok: true };
+  }
+
+  const stock = product.stockFor(variant);
+  const available = stock - await heldQuantity(product._id, variantId, cartId);
+  if (available < quantity) {
+    return { ok: false, available: Math.max(available, 0) };
+  }
+
+  const filter = { cart: cartId, product: product._id, variant: variantId };
+  const expiresAt = new Date(Date.now() + RESERVATION_TTL_MINUTES * 60 * 1000);
+  const previous = await Reservation.findOneAndUpdate(filter, { quantity, expiresAt }, { upsert: true });
+
+  // Re-check after writing: if a concurrent hold slipped in between the check
+  // and the write, undo ours so the product is never over-reserved.
+  if (await heldQuantity(product._id, variantId) > stock) {
+    if (previous && previous.expiresAt > new Date()) {
+      await Reservation.updateOne(filter, { quantity: previous.quantity, expiresAt: previous.expiresAt });
+    } else {
+      await Reservation.deleteOne(filter);
+    }
+    const left = stock - await heldQuantity(product._id, variantId, cartId);
+    return { ok: false, available: Math.max(left, 0) };
+  }
+
+  return { ok: true };
+};
+
+// Active holds for a set of products, as a Map of holdKey -> quantity
+const heldByProduct = async (productIds) => {
+  if (productIds.length === 0) return new Map();
+
+  const results = await Reservation.aggregate([
+    { $match: { product: { $in: productIds.map(toObjectId) }, expiresAt: { $gt: new Date() } } },
+    { $group: { _id: { product: '$product', variant: '$variant' }, total: { $sum: '$quantity' } } }
+  ]);
+
+  return new Map(results.map(r => [holdKey(r._id.product, r._id.variant), r.total]));
+};
+
+// Add `availableStock` (stock minus holds) to a plain product object and to
+// each of its variants
+const withAvailability = (product, held) => {
+  if (product.stock === undefined) return product;
+
+  if (Array.isArray(product.variants)) {
+    product.variants.forEach(variant => {
+      variant.availableStock = Math.max(variant.stock - (held.get(holdKey(product._id, variant._id)) || 0), 0);
+    });
+  }
+
+  product.availableStock = product.variants && product.variants.length > 0
+    ? product.variants.reduce((sum, variant) => sum + variant.availableStock, 0)
+    : Math.max(product.stock - (held.get(holdKey(product._id)) || 0), 0);
+
+  return product;
+};
+
+module.exports = {
+  RESERVATION_TTL_MINUTES,
+  heldQuantity,
+  availableStock,
+  hold,
+  release,
+  releaseCart,
+  heldByProduct,
+  withAvailability
+};
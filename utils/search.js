@@ -0,0 +1,190 @@
+const Product = require('../models/Product');
+const { escapeRegex, escapeHtml } = require('./text');
+
+// Autocomplete, typo correction and highlighting for product search.
+//
+// Corrections come from a vocabulary of the words in public product names and
+// tags, built with one aggregation and cached in memory for
+// SEARCH_VOCABULARY_TTL_SECONDS (default 300).
+
+const VOCABULARY_TTL_MS = (Number(process.env.SEARCH_VOCABULARY_TTL_SECONDS) || 300) * 1000;
+
+// Lowercase words of a query or text
+const tokenize = (text) => String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// Optimal string alignment distance (Levenshtein plus adjacent swaps), giving
+// up early once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Edits allowed when correcting a word of this length
+const maxEditsFor = (word) => (word.length <= 4 ? 1 : 2);
+
+let vocabulary = null;
+let vocabularyBuiltAt = 0;
+
+// Words of public product names and tags: { words: Map(word -> count),
+// tags: Map(tag -> count) }
+const getVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabularyBuiltAt < VOCABULARY_TTL_MS) {
+    return vocabulary;
+  }
+
+  const [names, tags] = await Promise.all([
+    Product.aggregate([
+      { $match: { isPublic: true, isActive: true } },
+      { $project: { name: { $toLower: '$name' } } }
+    ]),
+    Product.aggregate([
+      { $match: { isPublic: true, isActive: true } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const words = new Map();
+  const add = (word, count = 1) => {
+    if (word.length > 1) words.set(word, (words.get(word) || 0) + count);
+  };
+  names.forEach(product => new Set(tokenize(product.name)).forEach(word => add(word)));
+  tags.forEach(tag => tokenize(tag._id).forEach(word => add(word, tag.count)));
+
+  vocabulary = { words, tags: new Map(tags.map(tag => [tag._id, tag.count])) };
+  vocabularyBuiltAt = Date.now();
+  return vocabulary;
+};
+
+// Drop the cached vocabulary (e.g. after bulk product changes)
+const resetVocabulary = () => {
+  vocabulary = null;
+};
+
+// Closest vocabulary word within the allowed edits: fewest edits first, then
+// the most common word. Null when nothing is close enough.
+const closestWord = (word, words) => {
+  const max = maxEditsFor(word);
+  let best = null;
+
+  for (const [candidate, count] of words) {
+    const distance = editDistance(word, candidate, max);
+    if (distance > max) continue;
+    if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+      best = { word: candidate, distance, count };
+    }
+  }
+
+  return best ? best.word : null;
+};
+
+// Correct the words of a query against the vocabulary. The last word may be
+// incomplete, so it counts as known when a vocabulary word starts with it.
+// Resolves to { tokens, corrections: [{ from, to }] }.
+const correctQuery = async (queryTokens) => {
+  const { words } = await getVocabulary();
+  const wordList = [...words.keys()];
+  const corrections = [];
+
+  const tokens = queryTokens.map((token, index) => {
+    const isLast = index === queryTokens.length - 1;
+    if (words.has(token) || (isLast && wordList.some(word => word.startsWith(token)))) {
+      return token;
+    }
+    const corrected = closestWord(token, words);
+    if (corrected) {
+      corrections.push({ from: token, to: corrected });
+      return corrected;
+    }
+    return token;
+  });
+
+  return { tokens, corrections };
+};
+
+// Name condition matching every token at the start of a word; the last token
+// may be incomplete
+const namePrefixFilter = (tokens) => ({
+  $and: tokens.map(token => ({ name: new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegex(token)}`, 'iu') }))
+});
+
+// Tags starting with the last query token, most used first
+const tagSuggestions = async (token, limit) => {
+  const { tags } = await getVocabulary();
+  return [...tags]
+    .filter(([tag]) => tag.startsWith(token))
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([value, count]) => ({ value, count }));
+};
+
+// HTML-escaped text with words starting with one of the terms wrapped in
+// <mark>. When `maxLength` is set, returns a snippet around the first match.
+const highlight = (text, terms, maxLength) => {
+  if (!text) return text;
+
+  let source = String(text);
+  const pattern = terms.length > 0
+    ? new RegExp(`(^|[^\\p{L}\\p{N}])(${terms.map(escapeRegex).join('|')})`, 'giu')
+    : null;
+
+  if (maxLength && source.length > maxLength) {
+    const match = pattern ? pattern.exec(source) : null;
+    const start = match ? Math.max(match.index - Math.floor(maxLength / 3), 0) : 0;
+    source = `${start > 0 ? '…' : ''}${source.slice(start, start + maxLength)}${start + maxLength < source.length ? '…' : ''}`;
+  }
+
+  if (!pattern) return escapeHtml(source);
+
+  pattern.lastIndex = 0;
+  let result = '';
+  let last = 0;
+  for (const match of source.matchAll(pattern)) {
+    const termStart = match.index + match[1].length;
+    result += escapeHtml(source.slice(last, termStart)) + `<mark>${escapeHtml(match[2])}</mark>`;
+    last = termStart + match[2].length;
+  }
+  return result + escapeHtml(source.slice(last));
+};
+
+// Add `highlights: { name, description }` to a plain product object for the
+// words of a search query
+const withHighlights = (product, search) => {
+  const terms = tokenize(search);
+  product.highlights = {};
+  if (product.name !== undefined) product.highlights.name = highlight(product.name, terms);
+  if (product.description !== undefined) product.highlights.description = highlight(product.description, terms, 160);
+  return product;
+};
+
+module.exports = {
+  tokenize,
+  editDistance,
+  getVocabulary,
+  resetVocabulary,
+  correctQuery,
+  namePrefixFilter,
+  tagSuggestions,
+  highlight,
+  withHighlights
+};
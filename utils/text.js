@@ -0,0 +1,18 @@
+// Escaping helpers for user-supplied text
+
+// Escape user input for use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Escape user input for use in HTML, so it cannot inject markup
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Escape a CSV cell that a spreadsheet would run as a formula (starting with
+// =, +, -, @, tab or CR) by prefixing it with '
+const escapeCsvFormula = (value) => (/^[=+\-@\t\r]/.test(value) ? `'${value}` : value);
+
+module.exports = { escapeRegex, escapeHtml, escapeCsvFormula };
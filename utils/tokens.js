@@ -0,0 +1,52 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const RefreshToken = require('../models/RefreshToken');
+const User = require('../models/User');
+
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Generate a short-lived JWT access token
+const generateAccessToken = (id) => {
+  return jwt.sign({ id }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m'
+  });
+};
+
+// Create and store a refresh token. Pass `family` to rotate within an
+// existing login session; omit it to start a new one.
+const createRefreshToken = async (userId, req, family) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: RefreshToken.hash(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return token;
+};
+
+// Issue an access/refresh token pair for a new login session
+const issueTokens = async (userId, req) => {
+  return {
+    token: generateAccessToken(userId),
+    refreshToken: await createRefreshToken(userId, req)
+  };
+};
+
+// Sign a user out everywhere: revoke refresh tokens and reject every access
+// token issued so far
+const revokeAllSessions = async (userId) => {
+  await RefreshToken.revokeAllForUser(userId);
+  await User.updateOne({ _id: userId }, { sessionsRevokedAt: new Date(Date.now() - 1000) });
+};
+
+module.exports = {
+  generateAccessToken,
+  createRefreshToken,
+  issueTokens,
+  revokeAllSessions
+};
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const Product = require('../models/Product');
+const ProductEvent = require('../models/ProductEvent');
+const Cart = require('../models/Cart');
+
+// View tracking and trending products.
+//
+// Views, add-to-cart events and purchases are stored as ProductEvents. A
+// product's trending score sums its recent events, each weighted by type and
+// halved every TRENDING_HALF_LIFE_HOURS, so yesterday's spike fades.
+
+// A viewer counts once per product per window
+const VIEW_WINDOW_MINUTES = Number(process.env.VIEW_WINDOW_MINUTES) || 30;
+const TRENDING_HALF_LIFE_HOURS = Number(process.env.TRENDING_HALF_LIFE_HOURS) || 24;
+// Only events this recent are considered
+const TRENDING_WINDOW_DAYS = Number(process.env.TRENDING_WINDOW_DAYS) || 7;
+
+const EVENT_WEIGHTS = { view: 1, cart: 3, purchase: 5 };
+
+// Stable, non-reversible key for the viewer: the user, else the guest cart,
+// else IP address and user agent
+const viewerKey = (req) => {
+  let identity;
+  if (req.user) {
+    identity = `user:${req.user._id}`;
+  } else if (req.get('X-Cart-Token')) {
+    identity = `guest:${Cart.hashGuestToken(req.get('X-Cart-Token'))}`;
+  } else {
+    identity = `anon:${req.ip}:${req.get('User-Agent') || ''}`;
+  }
+  return crypto.createHash('sha256').update(identity).digest('hex');
+};
+
+// Count a product view unless the viewer is the owner or has already been
+// counted in the current window. Resolves to true when the view was counted.
+const recordView = async (product, req) => {
+  const ownerId = product.owner && (product.owner._id || product.owner);
+  if (req.user && ownerId && ownerId.toString() === req.user._id.toString()) {
+    return false;
+  }
+
+  const windowMs = VIEW_WINDOW_MINUTES * 60 * 1000;
+  const window = new Date(Math.floor(Date.now() / windowMs) * windowMs);
+
+  try {
+    await ProductEvent.create({ product: product._id, type: 'view', viewer: viewerKey(req), window });
+  } catch (error) {
+    // Duplicate key: already counted in this window
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await Product.updateOne({ _id: product._id }, { $inc: { views: 1 } });
+  return true;
+};
+
+// Record add-to-cart or purchase events. Tracking must never break the
+// request it belongs to, so failures are only logged.
+const recordEvents = async (type, items) => {
+  try {
+    await ProductEvent.insertMany(items.map(item => ({
+      product: item.product,
+      type,
+      quantity: item.quantity || 1
+    })));
+  } catch (error) {
+    console.error(`Error recording ${type} events:`, error.message);
+  }
+};
+
+// Public products ranked by trending score, optionally limited to the given
+// category ids. Each entry is the product with
+// `trending: { score, views, carts, purchases }`.
+const trendingProducts = async ({ categoryIds, limit, days = TRENDING_WINDOW_DAYS }) => {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const halfLifeMs = TRENDING_HALF_LIFE_HOURS * 60 * 60 * 1000;
+  const countOf = (type) => ({ $sum: { $cond: [{ $eq: ['$type', type] }, 1, 0] } });
+  const weight = {
+    $switch: {
+      branches: Object.entries(EVENT_WEIGHTS).map(([type, value]) => ({ case: { $eq: ['$type', type] }, then: value })),
+      default: 0
+    }
+  };
+
+  const productMatch = { 'product.isPublic': true, 'product.isActive': true };
+  if (categoryIds) productMatch['product.category'] = { $in: categoryIds };
+
+  const ranked = await ProductEvent.aggregate([
+    { $match: { createdAt: { $gte: since } } },
+    {
+      $group: {
+        _id: '$product',
+        score: {
+          $sum: {
+            $multiply: [
+              weight,
+              // 0.5 ^ (age / half-life)
+              { $pow: [0.5, { $divide: [{ $subtract: ['$$NOW', '$createdAt'] }, halfLifeMs] }] }
+            ]
+          }
+        },
+        views: countOf('view'),
+        carts: countOf('cart'),
+        purchases: countOf('purchase')
+      }
+    },
+    { $sort: { score: -1, _id: -1 } },
+    { $lookup: { from: Product.collection.name, localField: '_id', foreignField: '_id', as: 'product' } },
+    { $unwind: '$product' },
+    { $match: productMatch },
+    { $limit: limit }
+  ]);
+
+  const products = ranked.map(entry => ({
+    ...entry.product,
+    trending: {
+      score: Math.round(entry.score * 1000) / 1000,
+      views: entry.views,
+      carts: entry.carts,
+      purchases: entry.purchases
+    }
+  }));
+
+  await Product.populate(products, [
+    { path: 'owner', select: 'name email' },
+    { path: 'category', select: 'name slug' }
+  ]);
+  return products;
+};
+
+module.exports = {
+  VIEW_WINDOW_MINUTES,
+  TRENDING_WINDOW_DAYS,
+  EVENT_WEIGHTS,
+  viewerKey,
+  recordView,
+  recordEvents,
+  trendingProducts
+};